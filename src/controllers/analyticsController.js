@@ -0,0 +1,66 @@
+const Story = require('../models/Story');
+const { hasStoryPermission } = require('../utils/storyAccess');
+const { getStoryTimeline, getAuthorSummary } = require('../services/analytics');
+
+// @desc    Get views, readers, likes, comments and completion for a story over time
+// @route   GET /api/stories/:id/analytics?interval=day|week&from=&to=
+// @access  Private
+const getStoryAnalytics = async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id).select('title author collaborators');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (!hasStoryPermission(story, req.user, 'edit')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to view analytics for this story'
+      });
+    }
+
+    const { interval, from, to } = req.query;
+    const analytics = await getStoryTimeline(story, { interval, from, to });
+
+    res.json({
+      success: true,
+      data: {
+        story: { _id: story._id, title: story.title },
+        ...analytics
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get all-time numbers for each of the logged in user's stories
+// @route   GET /api/stories/analytics
+// @access  Private
+const getMyAnalytics = async (req, res) => {
+  try {
+    const stories = await getAuthorSummary(req.user._id);
+
+    res.json({
+      success: true,
+      data: stories
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getStoryAnalytics,
+  getMyAnalytics
+};
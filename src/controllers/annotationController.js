@@ -0,0 +1,227 @@
+const Story = require('../models/Story');
+const Chapter = require('../models/Chapter');
+const Annotation = require('../models/Annotation');
+const { canViewStory, isHiddenByPreferences, hasStoryPermission } = require('../utils/storyAccess');
+const { createAnchor } = require('../utils/anchoring');
+
+// Load the story, and the chapter if one is given, whose text is being annotated
+const findAnnotatableText = async (req, res, chapterId) => {
+  const story = await Story.findById(req.params.id)
+    .select('content author status isHidden collaborators rating contentWarnings annotationVisibility');
+
+  if (!story || !canViewStory(story, req.user) || isHiddenByPreferences(story, req.user)) {
+    res.status(404).json({
+      success: false,
+      message: 'Story not found'
+    });
+    return null;
+  }
+
+  if (!chapterId) {
+    return { story, chapter: null, text: story.content };
+  }
+
+  const chapter = await Chapter.findOne({ _id: chapterId, story: story._id });
+
+  // Draft chapters are only visible to the people writing the story
+  if (!chapter || (chapter.status !== 'published' && !hasStoryPermission(story, req.user, 'read'))) {
+    res.status(404).json({
+      success: false,
+      message: 'Chapter not found'
+    });
+    return null;
+  }
+
+  return { story, chapter: chapter._id, text: chapter.content };
+};
+
+// @desc    Get the annotations on a story or chapter, grouped by paragraph
+// @route   GET /api/stories/:id/annotations?chapterId=
+// @access  Public
+const getAnnotations = async (req, res) => {
+  try {
+    const target = await findAnnotatableText(req, res, req.query.chapterId);
+    if (!target) return;
+
+    const { story, chapter } = target;
+    const query = { story: story._id, chapter };
+
+    // With author-only visibility, readers just see their own annotations
+    const seesAll = story.annotationVisibility === 'public' || hasStoryPermission(story, req.user, 'read');
+    if (!seesAll) {
+      if (!req.user) {
+        return res.json({
+          success: true,
+          data: { visibility: story.annotationVisibility, paragraphs: [], orphaned: [] }
+        });
+      }
+      query.author = req.user._id;
+    }
+
+    const annotations = await Annotation.find(query)
+      .populate('author', 'username profilePicture')
+      .sort({ paragraph: 1, start: 1, createdAt: 1 });
+
+    const paragraphs = new Map();
+    const orphaned = [];
+    annotations.forEach(annotation => {
+      if (annotation.isOrphaned) {
+        orphaned.push(annotation);
+        return;
+      }
+      if (!paragraphs.has(annotation.paragraph)) {
+        paragraphs.set(annotation.paragraph, []);
+      }
+      paragraphs.get(annotation.paragraph).push(annotation);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        visibility: story.annotationVisibility,
+        paragraphs: [...paragraphs.entries()].map(([paragraph, entries]) => ({
+          paragraph,
+          annotations: entries
+        })),
+        orphaned
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Annotate a range of text in a story or chapter
+// @route   POST /api/stories/:id/annotations
+// @access  Private
+const createAnnotation = async (req, res) => {
+  try {
+    const { chapterId, paragraph, start, end, content } = req.body;
+
+    const target = await findAnnotatableText(req, res, chapterId);
+    if (!target) return;
+
+    if (!target.text) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no text here to annotate; annotate one of the chapters instead'
+      });
+    }
+
+    const anchor = createAnchor(target.text, {
+      paragraph: Number(paragraph),
+      start: Number(start),
+      end: Number(end)
+    });
+
+    const annotation = await Annotation.create({
+      story: target.story._id,
+      chapter: target.chapter,
+      author: req.user._id,
+      content,
+      ...anchor
+    });
+
+    await annotation.populate('author', 'username profilePicture');
+
+    res.status(201).json({
+      success: true,
+      data: annotation
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Edit the text of an annotation
+// @route   PUT /api/stories/:id/annotations/:annotationId
+// @access  Private
+const updateAnnotation = async (req, res) => {
+  try {
+    const annotation = await Annotation.findOne({
+      _id: req.params.annotationId,
+      story: req.params.id
+    });
+
+    if (!annotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Annotation not found'
+      });
+    }
+
+    if (annotation.author.toString() !== req.user._id.toString()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to edit this annotation'
+      });
+    }
+
+    annotation.content = req.body.content;
+    await annotation.save();
+
+    res.json({
+      success: true,
+      data: annotation
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete an annotation as its author or the story owner
+// @route   DELETE /api/stories/:id/annotations/:annotationId
+// @access  Private
+const deleteAnnotation = async (req, res) => {
+  try {
+    const annotation = await Annotation.findOne({
+      _id: req.params.annotationId,
+      story: req.params.id
+    });
+
+    if (!annotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Annotation not found'
+      });
+    }
+
+    if (annotation.author.toString() !== req.user._id.toString()) {
+      const story = await Story.findById(annotation.story).select('author collaborators');
+      if (!story || !hasStoryPermission(story, req.user, 'manage')) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized to delete this annotation'
+        });
+      }
+    }
+
+    await Annotation.deleteOne({ _id: annotation._id });
+
+    res.json({
+      success: true,
+      message: 'Annotation deleted successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAnnotations,
+  createAnnotation,
+  updateAnnotation,
+  deleteAnnotation
+};
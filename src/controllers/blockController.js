@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+
+const LISTS = {
+  block: 'blockedUsers',
+  mute: 'mutedUsers'
+};
+
+// @desc    Block or mute a user
+// @route   POST /api/users/:id/block
+// @route   POST /api/users/:id/mute
+// @access  Private
+const addToList = (action) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !(await User.exists({ _id: req.params.id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: `You cannot ${action} yourself`
+      });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { [LISTS[action]]: req.params.id } });
+
+    // Blocking also ends any follow between the two users, in both directions
+    if (action === 'block') {
+      await User.updateOne({ _id: req.params.id }, { $addToSet: { blockedBy: req.user._id } });
+      await Follow.removePair(req.user._id, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      message: action === 'block' ? 'User blocked' : 'User muted'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unblock or unmute a user
+// @route   DELETE /api/users/:id/block
+// @route   DELETE /api/users/:id/mute
+// @access  Private
+const removeFromList = (action) => async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { [LISTS[action]]: req.params.id } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: action === 'block' ? 'User is not blocked' : 'User is not muted'
+      });
+    }
+
+    if (action === 'block') {
+      await User.updateOne({ _id: req.params.id }, { $pull: { blockedBy: req.user._id } });
+    }
+
+    res.json({
+      success: true,
+      message: action === 'block' ? 'User unblocked' : 'User unmuted'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List the users the logged in user has blocked or muted
+// @route   GET /api/users/profile/blocked
+// @route   GET /api/users/profile/muted
+// @access  Private
+const getList = (action) => async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select(LISTS[action])
+      .populate(LISTS[action], 'username profilePicture');
+
+    res.json({
+      success: true,
+      data: user[LISTS[action]]
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const blockUser = addToList('block');
+const unblockUser = removeFromList('block');
+const getBlockedUsers = getList('block');
+const muteUser = addToList('mute');
+const unmuteUser = removeFromList('mute');
+const getMutedUsers = getList('mute');
+
+module.exports = {
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  muteUser,
+  unmuteUser,
+  getMutedUsers
+};
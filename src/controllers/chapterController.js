@@ -0,0 +1,311 @@
+const Story = require('../models/Story');
+const Chapter = require('../models/Chapter');
+const Annotation = require('../models/Annotation');
+const { reanchorAnnotations } = require('../services/annotations');
+const { hasStoryPermission, canViewStory, denyHiddenByPreferences } = require('../utils/storyAccess');
+
+// @desc    Get a story's chapters (table of contents)
+// @route   GET /api/stories/:id/chapters
+// @access  Public
+const getChapters = async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id);
+
+    if (!story || !canViewStory(story, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (denyHiddenByPreferences(res, story, req.user)) return;
+
+    // Readers only see published chapters
+    const chapters = await Chapter.getTableOfContents(story._id, hasStoryPermission(story, req.user, 'read'));
+
+    res.json({
+      success: true,
+      data: chapters
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a single chapter
+// @route   GET /api/stories/:id/chapters/:chapterId
+// @access  Public
+const getChapter = async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id);
+
+    if (!story || !canViewStory(story, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (denyHiddenByPreferences(res, story, req.user)) return;
+
+    const chapter = await Chapter.findOne({
+      _id: req.params.chapterId,
+      story: story._id
+    });
+
+    if (!chapter || (chapter.status !== 'published' && !hasStoryPermission(story, req.user, 'read'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: chapter
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Add a chapter to the end of a story
+// @route   POST /api/stories/:id/chapters
+// @access  Private
+const createChapter = async (req, res) => {
+  try {
+    const { title, content, status } = req.body;
+    const story = await Story.findById(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (!hasStoryPermission(story, req.user, 'edit')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to add chapters to this story'
+      });
+    }
+
+    if (!title || !content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title and content are required'
+      });
+    }
+
+    const last = await Chapter.findOne({ story: story._id })
+      .sort({ order: -1 })
+      .select('order');
+
+    const chapter = await Chapter.create({
+      story: story._id,
+      title,
+      content,
+      status,
+      order: last ? last.order + 1 : 1
+    });
+
+    await Chapter.syncStoryStats(story._id);
+
+    res.status(201).json({
+      success: true,
+      data: chapter
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update a chapter
+// @route   PUT /api/stories/:id/chapters/:chapterId
+// @access  Private
+const updateChapter = async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (!hasStoryPermission(story, req.user, 'edit')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to update this chapter'
+      });
+    }
+
+    const chapter = await Chapter.findOne({
+      _id: req.params.chapterId,
+      story: story._id
+    });
+
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+
+    const { title, content, status } = req.body;
+    const isContentChange = content !== undefined && content !== chapter.content;
+    if (title !== undefined) chapter.title = title;
+    if (content !== undefined) chapter.content = content;
+    if (status !== undefined) chapter.status = status;
+
+    await chapter.save();
+    await Chapter.syncStoryStats(story._id);
+
+    if (isContentChange) {
+      await reanchorAnnotations(story._id, chapter._id, chapter.content);
+    }
+
+    res.json({
+      success: true,
+      data: chapter
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete a chapter
+// @route   DELETE /api/stories/:id/chapters/:chapterId
+// @access  Private
+const deleteChapter = async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (!hasStoryPermission(story, req.user, 'edit')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to delete this chapter'
+      });
+    }
+
+    const chapter = await Chapter.findOneAndDelete({
+      _id: req.params.chapterId,
+      story: story._id
+    });
+
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+
+    await Annotation.deleteMany({ story: story._id, chapter: chapter._id });
+
+    // Close the gap left in the chapter order
+    await Chapter.updateMany(
+      { story: story._id, order: { $gt: chapter.order } },
+      { $inc: { order: -1 } }
+    );
+    await Chapter.syncStoryStats(story._id);
+
+    res.json({
+      success: true,
+      message: 'Chapter deleted successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Reorder a story's chapters
+// @route   PUT /api/stories/:id/chapters/order
+// @access  Private
+const reorderChapters = async (req, res) => {
+  try {
+    const { chapterIds } = req.body;
+    const story = await Story.findById(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (!hasStoryPermission(story, req.user, 'edit')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to reorder these chapters'
+      });
+    }
+
+    const chapters = await Chapter.find({ story: story._id }).select('_id');
+    const existingIds = chapters.map(chapter => chapter._id.toString());
+
+    // The new order must list every chapter exactly once
+    if (
+      !Array.isArray(chapterIds) ||
+      chapterIds.length !== existingIds.length ||
+      new Set(chapterIds).size !== chapterIds.length ||
+      !chapterIds.every(id => existingIds.includes(String(id)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'chapterIds must contain every chapter of the story exactly once'
+      });
+    }
+
+    await Chapter.bulkWrite(chapterIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, story: story._id },
+        update: { order: index + 1 }
+      }
+    })));
+
+    const reordered = await Chapter.getTableOfContents(story._id, true);
+
+    res.json({
+      success: true,
+      data: reordered
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getChapters,
+  getChapter,
+  createChapter,
+  updateChapter,
+  deleteChapter,
+  reorderChapters
+};
@@ -0,0 +1,305 @@
+const Story = require('../models/Story');
+const User = require('../models/User');
+const { COLLABORATOR_ROLES, hasStoryPermission } = require('../utils/storyAccess');
+
+const findCollaborator = (story, userId) => {
+  return story.collaborators.find(entry => entry.user.toString() === userId.toString());
+};
+
+// @desc    List a story's collaborators
+// @route   GET /api/stories/:id/collaborators
+// @access  Private
+const getCollaborators = async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id)
+      .populate('collaborators.user', 'username profilePicture');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (!hasStoryPermission(story, req.user, 'read')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to view collaborators of this story'
+      });
+    }
+
+    // Pending invitations are only shown to the owner
+    const collaborators = hasStoryPermission(story, req.user, 'manage')
+      ? story.collaborators
+      : story.collaborators.filter(entry => entry.status === 'accepted');
+
+    res.json({
+      success: true,
+      data: collaborators
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Invite a user to collaborate on a story
+// @route   POST /api/stories/:id/collaborators
+// @access  Private
+const inviteCollaborator = async (req, res) => {
+  try {
+    const { username, role } = req.body;
+    const story = await Story.findById(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (!hasStoryPermission(story, req.user, 'manage')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to invite collaborators to this story'
+      });
+    }
+
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Valid roles are: ${COLLABORATOR_ROLES.join(', ')}`
+      });
+    }
+
+    const invitee = await User.findOne({ username: String(username || '').trim() }).select('username');
+
+    if (!invitee) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (invitee._id.toString() === story.author.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The author cannot be invited to their own story'
+      });
+    }
+
+    if (findCollaborator(story, invitee._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a collaborator or has a pending invitation'
+      });
+    }
+
+    story.collaborators.push({
+      user: invitee._id,
+      role,
+      invitedBy: req.user._id
+    });
+    await story.save();
+
+    res.status(201).json({
+      success: true,
+      data: findCollaborator(story, invitee._id)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Change a collaborator's role
+// @route   PUT /api/stories/:id/collaborators/:userId
+// @access  Private
+const updateCollaboratorRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    const story = await Story.findById(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (!hasStoryPermission(story, req.user, 'manage')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to manage collaborators of this story'
+      });
+    }
+
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Valid roles are: ${COLLABORATOR_ROLES.join(', ')}`
+      });
+    }
+
+    const collaborator = findCollaborator(story, req.params.userId);
+
+    if (!collaborator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found'
+      });
+    }
+
+    collaborator.role = role;
+    await story.save();
+
+    res.json({
+      success: true,
+      data: collaborator
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Remove a collaborator, cancel an invitation, or leave a story
+// @route   DELETE /api/stories/:id/collaborators/:userId
+// @access  Private
+const removeCollaborator = async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && !hasStoryPermission(story, req.user, 'manage')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to manage collaborators of this story'
+      });
+    }
+
+    const collaborator = findCollaborator(story, req.params.userId);
+
+    if (!collaborator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found'
+      });
+    }
+
+    story.collaborators.pull(collaborator._id);
+    await story.save();
+
+    res.json({
+      success: true,
+      message: 'Collaborator removed successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Accept or decline an invitation to collaborate
+// @route   POST /api/stories/:id/collaborators/accept
+// @route   POST /api/stories/:id/collaborators/decline
+// @access  Private
+const respondToInvitation = (accept) => async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const collaborator = findCollaborator(story, req.user._id);
+
+    if (!collaborator || collaborator.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending invitation for this story'
+      });
+    }
+
+    if (accept) {
+      collaborator.status = 'accepted';
+      collaborator.respondedAt = new Date();
+    } else {
+      story.collaborators.pull(collaborator._id);
+    }
+    await story.save();
+
+    res.json({
+      success: true,
+      message: accept ? 'Invitation accepted' : 'Invitation declined'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const acceptInvitation = respondToInvitation(true);
+const declineInvitation = respondToInvitation(false);
+
+// @desc    List the logged in user's pending invitations
+// @route   GET /api/stories/invitations
+// @access  Private
+const getMyInvitations = async (req, res) => {
+  try {
+    const stories = await Story.find({
+      collaborators: { $elemMatch: { user: req.user._id, status: 'pending' } }
+    })
+      .select('title genre status author collaborators')
+      .populate('author', 'username');
+
+    const invitations = stories.map(story => {
+      const invitation = findCollaborator(story, req.user._id);
+      return {
+        story: { _id: story._id, title: story.title, genre: story.genre, author: story.author },
+        role: invitation.role,
+        invitedAt: invitation.invitedAt
+      };
+    });
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCollaborators,
+  inviteCollaborator,
+  updateCollaboratorRole,
+  removeCollaborator,
+  acceptInvitation,
+  declineInvitation,
+  getMyInvitations
+};
@@ -0,0 +1,372 @@
+const Story = require('../models/Story');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { canViewStory, hasStoryPermission } = require('../utils/storyAccess');
+const { parseMentions, renderMentions } = require('../utils/mentions');
+const { trackActivity } = require('../services/analytics');
+const { notify } = require('../services/notifications');
+const { publishStoryCounts } = require('../services/realtime');
+const { hasBlocked, getHiddenAuthorIds, excludeAuthors } = require('../services/relationships');
+
+const SORT_ORDERS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 }
+};
+
+const AUTHOR_FIELDS = 'username profilePicture';
+
+// Turn @username mentions into user references. Unknown usernames, and users who
+// have blocked the commenter, stay plain text.
+const resolveMentions = async (content, authorId) => {
+  const parsed = parseMentions(content);
+  if (parsed.length === 0) return [];
+
+  const users = await User.find({
+    username: { $in: parsed.map(mention => mention.username) },
+    blockedUsers: { $ne: authorId }
+  }).select('username');
+  const byUsername = new Map(users.map(user => [user.username, user._id]));
+
+  return parsed
+    .filter(mention => byUsername.has(mention.username))
+    .map(mention => ({ user: byUsername.get(mention.username), start: mention.start, end: mention.end }));
+};
+
+// Let each mentioned user know, once per comment, skipping anyone already notified
+const notifyMentioned = async (comment, alreadyNotifiedIds = []) => {
+  const alreadyNotified = new Set(alreadyNotifiedIds.map(id => id.toString()));
+  const recipients = new Set(comment.mentions.map(mention => mention.user.toString()));
+
+  for (const recipient of recipients) {
+    if (!alreadyNotified.has(recipient)) {
+      await notify({
+        recipient,
+        actor: comment.author._id || comment.author,
+        type: 'mention',
+        story: comment.story,
+        comment: comment._id
+      });
+    }
+  }
+};
+
+// Comment as returned to clients, with mentions showing current usernames
+const formatComment = (comment) => {
+  const data = comment.toObject();
+  const { content, mentions } = renderMentions(data.content, data.mentions);
+  return { ...data, content, mentions };
+};
+
+const populateComment = (query) => query
+  .populate('author', AUTHOR_FIELDS)
+  .populate('mentions.user', 'username');
+
+// Tell the story's author about a new comment, and the parent's author about a reply.
+// Returns who was notified so mentions don't notify them a second time.
+const notifyCommentRecipients = async (story, comment, parent) => {
+  const notified = [];
+
+  if (parent) {
+    await notify({
+      recipient: parent.author,
+      actor: comment.author,
+      type: 'reply',
+      story: story._id,
+      comment: comment._id
+    });
+    notified.push(parent.author);
+  }
+
+  if (!parent || parent.author.toString() !== story.author.toString()) {
+    await notify({
+      recipient: story.author,
+      actor: comment.author,
+      type: 'comment',
+      story: story._id,
+      comment: comment._id
+    });
+    notified.push(story.author);
+  }
+
+  return notified;
+};
+
+// Load a story the commenter is allowed to see
+const findCommentableStory = async (req, res) => {
+  const story = await Story.findById(req.params.id).select('author status isHidden collaborators');
+
+  if (!story || !canViewStory(story, req.user)) {
+    res.status(404).json({
+      success: false,
+      message: 'Story not found'
+    });
+    return null;
+  }
+
+  return story;
+};
+
+// Page through comments with the same parent
+const listComments = async (req, res, parent, defaultSort) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const startIndex = (page - 1) * limit;
+  const sort = req.query.sort || defaultSort;
+
+  if (!SORT_ORDERS[sort]) {
+    return res.status(400).json({
+      success: false,
+      message: `Valid sort options are: ${Object.keys(SORT_ORDERS).join(', ')}`
+    });
+  }
+
+  // Comments by users the viewer blocked or muted, or who blocked the viewer, are left out
+  const query = excludeAuthors({ story: req.params.id, parent }, await getHiddenAuthorIds(req.user));
+
+  // Comments hidden by a moderator are only listed for moderators
+  if (!req.user || !req.user.isModerator) {
+    query.isHidden = { $ne: true };
+  }
+  const comments = await populateComment(Comment.find(query))
+    .sort(SORT_ORDERS[sort])
+    .skip(startIndex)
+    .limit(limit);
+
+  const total = await Comment.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      comments: comments.map(formatComment),
+      page,
+      pages: Math.ceil(total / limit),
+      total
+    }
+  });
+};
+
+// @desc    Get a story's top-level comments
+// @route   GET /api/stories/:id/comments?page=&limit=&sort=newest|oldest
+// @access  Public
+const getComments = async (req, res) => {
+  try {
+    const story = await findCommentableStory(req, res);
+    if (!story) return;
+
+    await listComments(req, res, null, 'newest');
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the replies to a comment
+// @route   GET /api/stories/:id/comments/:commentId/replies?page=&limit=&sort=
+// @access  Public
+const getReplies = async (req, res) => {
+  try {
+    const story = await findCommentableStory(req, res);
+    if (!story) return;
+
+    if (!(await Comment.exists({ _id: req.params.commentId, story: story._id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    await listComments(req, res, req.params.commentId, 'oldest');
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Add a comment or a reply to a story
+// @route   POST /api/stories/:id/comments
+// @access  Private
+const addComment = async (req, res) => {
+  try {
+    const { content, parentId } = req.body;
+    const story = await findCommentableStory(req, res);
+    if (!story) return;
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, story: story._id });
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+
+      if (parent.isDeleted) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reply to a deleted comment'
+        });
+      }
+
+      if (await hasBlocked(parent.author, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot reply to this comment'
+        });
+      }
+    }
+
+    const comment = new Comment({
+      story: story._id,
+      author: req.user._id,
+      parent: parentId || null,
+      content
+    });
+    // Mention ranges refer to the trimmed content the schema stores
+    comment.mentions = await resolveMentions(comment.content, req.user._id);
+    await comment.save();
+
+    if (parentId) {
+      await Comment.updateOne({ _id: parentId }, { $inc: { replyCount: 1 } });
+    }
+    await Story.updateOne({ _id: story._id }, { $inc: { commentCount: 1 } });
+    await trackActivity(story._id, req.user._id, 'comment');
+    const notified = await notifyCommentRecipients(story, comment, parent);
+    await notifyMentioned(comment, notified);
+    await publishStoryCounts(story._id);
+
+    await populateComment(comment);
+
+    res.status(201).json({
+      success: true,
+      data: formatComment(comment)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Edit a comment
+// @route   PUT /api/stories/:id/comments/:commentId
+// @access  Private
+const updateComment = async (req, res) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, story: req.params.id });
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to edit this comment'
+      });
+    }
+
+    const previouslyMentioned = comment.mentions.map(mention => mention.user);
+    comment.content = req.body.content;
+    comment.mentions = await resolveMentions(comment.content, req.user._id);
+    comment.editedAt = new Date();
+    await comment.save();
+    await notifyMentioned(comment, previouslyMentioned);
+
+    await populateComment(comment);
+
+    res.json({
+      success: true,
+      data: formatComment(comment)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete a comment as its author or the story owner
+// @route   DELETE /api/stories/:id/comments/:commentId
+// @access  Private
+const deleteComment = async (req, res) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, story: req.params.id });
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const isCommentAuthor = comment.author.toString() === req.user._id.toString();
+    if (!isCommentAuthor) {
+      const story = await Story.findById(comment.story).select('author collaborators');
+      if (!story || !hasStoryPermission(story, req.user, 'manage')) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized to delete this comment'
+        });
+      }
+    }
+
+    if (comment.replyCount > 0) {
+      // Keep the comment as a placeholder so its replies stay in the thread
+      comment.isDeleted = true;
+      comment.deletedAt = new Date();
+      comment.content = undefined;
+      comment.mentions = [];
+      await comment.save();
+    } else {
+      await Comment.deleteOne({ _id: comment._id });
+
+      // Placeholders whose last reply is gone have nothing left to hold together
+      let parentId = comment.parent;
+      while (parentId) {
+        const parent = await Comment.findByIdAndUpdate(
+          parentId,
+          { $inc: { replyCount: -1 } },
+          { new: true }
+        );
+        if (!parent || !parent.isDeleted || parent.replyCount > 0) break;
+
+        await Comment.deleteOne({ _id: parent._id });
+        parentId = parent.parent;
+      }
+    }
+
+    await Story.updateOne({ _id: comment.story }, { $inc: { commentCount: -1 } });
+    await Notification.deleteMany({ comment: comment._id });
+    await publishStoryCounts(comment.story);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  getReplies,
+  addComment,
+  updateComment,
+  deleteComment
+};
@@ -0,0 +1,69 @@
+const Story = require('../models/Story');
+const Chapter = require('../models/Chapter');
+const { hasStoryPermission, canViewStory, denyHiddenByPreferences } = require('../utils/storyAccess');
+const { buildEpub, buildMarkdown, buildHtml, slugify } = require('../services/exportService');
+
+const EXPORT_FORMATS = ['epub', 'md', 'html'];
+
+// @desc    Export a story as EPUB, Markdown or HTML
+// @route   GET /api/stories/:id/export?format=epub|md|html
+// @access  Public
+const exportStory = async (req, res) => {
+  try {
+    const format = (req.query.format || 'epub').toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const story = await Story.findById(req.params.id)
+      .populate('author', 'username');
+
+    if (!story || !canViewStory(story, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (denyHiddenByPreferences(res, story, req.user)) return;
+
+    // Readers only get published chapters
+    const chapterQuery = { story: story._id };
+    if (!hasStoryPermission(story, req.user, 'read')) {
+      chapterQuery.status = 'published';
+    }
+    const chapters = await Chapter.find(chapterQuery).sort({ order: 1 });
+
+    const filename = slugify(story.title);
+
+    if (format === 'md') {
+      res.set('Content-Type', 'text/markdown; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.md"`);
+      return res.send(buildMarkdown(story, chapters));
+    }
+
+    if (format === 'html') {
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.html"`);
+      return res.send(buildHtml(story, chapters));
+    }
+
+    const epub = await buildEpub(story, chapters);
+    res.set('Content-Type', 'application/epub+zip');
+    res.set('Content-Disposition', `attachment; filename="${filename}.epub"`);
+    res.send(epub);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  exportStory
+};
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Story = require('../models/Story');
+const Follow = require('../models/Follow');
+const { publicStoryFilter } = require('../utils/storyAccess');
+const { applyCursor, buildCursorPage } = require('../utils/pagination');
+const { notify } = require('../services/notifications');
+const { hasBlocked, getHiddenAuthorIds, excludeAuthors } = require('../services/relationships');
+
+const USER_FIELDS = 'username profilePicture followerCount followingCount';
+
+// MongoDB only merges per-value index ranges for an $in of up to 200 values
+const FEED_MERGE_LIMIT = 200;
+const FEED_BY_AUTHOR_INDEX = { author: 1, status: 1, publishedAt: -1, _id: -1 };
+const FEED_BY_DATE_INDEX = { status: 1, publishedAt: -1, _id: -1 };
+
+// @desc    Follow a user
+// @route   POST /api/users/:id/follow
+// @access  Private
+const followUser = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    const target = await User.findById(req.params.id).select('username');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Neither side of a block can follow the other
+    if (await hasBlocked(target._id, req.user) || await hasBlocked(req.user._id, target)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot follow this user'
+      });
+    }
+
+    try {
+      await Follow.create({ follower: req.user._id, following: target._id });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already follow this user'
+        });
+      }
+      throw error;
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      target._id,
+      { $inc: { followerCount: 1 } },
+      { new: true }
+    ).select('followerCount');
+    await User.updateOne({ _id: req.user._id }, { $inc: { followingCount: 1 } });
+    await notify({ recipient: target._id, actor: req.user._id, type: 'follow' });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        following: true,
+        followerCount: updated.followerCount
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unfollow a user
+// @route   DELETE /api/users/:id/follow
+// @access  Private
+const unfollowUser = async (req, res) => {
+  try {
+    const follow = await Follow.findOneAndDelete({
+      follower: req.user._id,
+      following: req.params.id
+    });
+
+    if (!follow) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not follow this user'
+      });
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      follow.following,
+      { $inc: { followerCount: -1 } },
+      { new: true }
+    ).select('followerCount');
+    await User.updateOne({ _id: req.user._id }, { $inc: { followingCount: -1 } });
+
+    res.json({
+      success: true,
+      data: {
+        following: false,
+        followerCount: updated ? updated.followerCount : 0
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Page through one side of a user's follow relationships
+const listFollows = (side) => async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    const user = await User.findById(req.params.id).select('followerCount followingCount');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Followers are found by who they follow, and the other way round
+    const matchField = side === 'follower' ? 'following' : 'follower';
+    const query = { [matchField]: user._id };
+
+    const follows = await Follow.find(query)
+      .populate(side, USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const total = await Follow.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        users: follows
+          .filter(follow => follow[side])
+          .map(follow => ({ ...follow[side].toObject(), followedAt: follow.createdAt })),
+        followerCount: user.followerCount,
+        followingCount: user.followingCount,
+        page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List a user's followers
+// @route   GET /api/users/:id/followers
+// @access  Public
+const getFollowers = listFollows('follower');
+
+// @desc    List the users a user follows
+// @route   GET /api/users/:id/following
+// @access  Public
+const getFollowing = listFollows('following');
+
+// @desc    Newly published stories from followed authors, newest first
+// @route   GET /api/users/profile/feed?cursor=&limit=
+// @access  Private
+const getFeed = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    // With few authors, one indexed range per author is merged by publish date.
+    // Past the merge limit that would become an in-memory sort of everything those
+    // authors wrote, so instead walk all published stories newest first and keep
+    // the followed authors' ones; following that many, they turn up quickly.
+    const authors = await Follow.find({ follower: req.user._id }).distinct('following');
+    const baseQuery = excludeAuthors({
+      ...publicStoryFilter(req.user),
+      author: { $in: authors }
+    }, await getHiddenAuthorIds(req.user));
+
+    const { query, sort, reversed } = applyCursor(baseQuery, 'published', req.query.cursor);
+    const stories = await Story.find(query)
+      .select('-content')
+      .populate('author', 'username profilePicture')
+      .sort(sort)
+      .hint(authors.length <= FEED_MERGE_LIMIT ? FEED_BY_AUTHOR_INDEX : FEED_BY_DATE_INDEX)
+      .limit(limit + 1);
+
+    const result = buildCursorPage(stories, 'published', limit, {
+      reversed,
+      hasPrevious: Boolean(req.query.cursor)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        stories: result.items,
+        nextCursor: result.nextCursor,
+        prevCursor: result.prevCursor
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  getFeed
+};
@@ -0,0 +1,179 @@
+const Story = require('../models/Story');
+const User = require('../models/User');
+const Chapter = require('../models/Chapter');
+const Revision = require('../models/Revision');
+const Tag = require('../models/Tag');
+const { getHiddenAuthorIds, excludeAuthors } = require('../services/relationships');
+const { canViewStory, isHiddenByPreferences, publicStoryFilter } = require('../utils/storyAccess');
+
+const MAX_ANCESTORS = 50;
+const LINEAGE_FIELDS = 'title author status isHidden rating contentWarnings forkedFrom forkCount createdAt';
+
+// @desc    Fork a published story into a new draft owned by the caller
+// @route   POST /api/stories/:id/fork
+// @access  Private
+const forkStory = async (req, res) => {
+  try {
+    const original = await Story.findById(req.params.id);
+
+    if (
+      !original ||
+      original.status !== 'published' ||
+      original.isHidden ||
+      !canViewStory(original, req.user) ||
+      isHiddenByPreferences(original, req.user)
+    ) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (!original.allowForks) {
+      return res.status(403).json({
+        success: false,
+        message: 'The author of this story does not allow forks'
+      });
+    }
+
+    // Only published chapters are copied; the original author's drafts stay private
+    const chapters = await Chapter.find({ story: original._id, status: 'published' })
+      .sort({ order: 1 });
+
+    if (!original.content && chapters.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no published text to fork'
+      });
+    }
+
+    const chapterWordCount = chapters.reduce((total, chapter) => total + chapter.wordCount, 0);
+
+    const fork = await Story.create({
+      title: req.body.title || original.title,
+      content: original.content,
+      genre: original.genre,
+      tags: original.tags,
+      rating: original.rating,
+      contentWarnings: original.contentWarnings,
+      isAIGenerated: original.isAIGenerated,
+      image: original.image,
+      author: req.user._id,
+      status: 'draft',
+      forkedFrom: original._id,
+      chapterCount: chapters.length,
+      chapterWordCount,
+      wordCount: original.wordCount - original.chapterWordCount + chapterWordCount,
+      likes: []
+    });
+
+    if (chapters.length > 0) {
+      await Chapter.insertMany(chapters.map(chapter => ({
+        story: fork._id,
+        title: chapter.title,
+        content: chapter.content,
+        order: chapter.order,
+        wordCount: chapter.wordCount
+      })));
+      await Chapter.syncStoryStats(fork._id);
+    }
+
+    await Story.updateOne({ _id: original._id }, { $inc: { forkCount: 1 } });
+    await User.findByIdAndUpdate(req.user._id, { $push: { stories: fork._id } });
+    await Tag.syncStory(null, fork);
+    await Revision.record(fork, req.user._id);
+
+    const populatedFork = await Story.findById(fork._id)
+      .populate('author', 'username')
+      .populate('forkedFrom', 'title author');
+
+    res.status(201).json({
+      success: true,
+      data: populatedFork
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a story's ancestors and its direct forks
+// @route   GET /api/stories/:id/lineage
+// @access  Public
+const getStoryLineage = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const story = await Story.findById(req.params.id).select(`${LINEAGE_FIELDS} collaborators`);
+
+    if (!story || !canViewStory(story, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    // Walk up the forkedFrom chain; deleted or private ancestors are shown as placeholders
+    const ancestors = [];
+    let parentId = story.forkedFrom;
+    while (parentId && ancestors.length < MAX_ANCESTORS) {
+      const parent = await Story.findById(parentId)
+        .select(`${LINEAGE_FIELDS} collaborators`)
+        .populate('author', 'username');
+
+      if (!parent) {
+        ancestors.push({ _id: parentId, unavailable: true, reason: 'deleted' });
+        break;
+      }
+      if (!canViewStory(parent, req.user) || isHiddenByPreferences(parent, req.user)) {
+        ancestors.push({ _id: parent._id, unavailable: true, reason: 'private' });
+      } else {
+        ancestors.push({
+          _id: parent._id,
+          title: parent.title,
+          author: parent.author,
+          forkCount: parent.forkCount,
+          createdAt: parent.createdAt
+        });
+      }
+      parentId = parent.forkedFrom;
+    }
+
+    const forkQuery = { forkedFrom: story._id, ...publicStoryFilter(req.user) };
+    excludeAuthors(forkQuery, await getHiddenAuthorIds(req.user));
+
+    const forks = await Story.find(forkQuery)
+      .select(LINEAGE_FIELDS)
+      .populate('author', 'username')
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const total = await Story.countDocuments(forkQuery);
+
+    res.json({
+      success: true,
+      data: {
+        ancestors,
+        forks,
+        page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  forkStory,
+  getStoryLineage
+};
@@ -0,0 +1,125 @@
+const Story = require('../models/Story');
+const User = require('../models/User');
+const Chapter = require('../models/Chapter');
+const Revision = require('../models/Revision');
+const Tag = require('../models/Tag');
+const { parseManuscript } = require('../services/importService');
+const { countWords } = require('../utils/text');
+const { normalizeTags } = require('../utils/tags');
+const { RATINGS, normalizeWarnings } = require('../utils/contentRating');
+
+// Story content has a 100 character minimum
+const MIN_CONTENT_LENGTH = 100;
+
+// @desc    Create a draft story from an uploaded manuscript
+// @route   POST /api/stories/import
+// @access  Private
+const importStory = async (req, res) => {
+  try {
+    const { genre, rating } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a .txt, .md or .docx manuscript'
+      });
+    }
+
+    if (!genre) {
+      return res.status(400).json({
+        success: false,
+        message: 'Genre is required'
+      });
+    }
+
+    if (!RATINGS.includes(rating)) {
+      return res.status(400).json({
+        success: false,
+        message: `Rating is required. Valid ratings are: ${RATINGS.join(', ')}`
+      });
+    }
+
+    const manuscript = parseManuscript(req.file);
+    const title = req.body.title || manuscript.title;
+
+    // A short preface such as a dedication or epigraph cannot be the story's own
+    // text, so it goes at the top of the first chapter instead
+    if (manuscript.content && manuscript.content.length < MIN_CONTENT_LENGTH && manuscript.chapters.length > 0) {
+      const [first, ...rest] = manuscript.chapters;
+      manuscript.chapters = [{ ...first, content: `${manuscript.content}\n\n${first.content}` }, ...rest];
+      manuscript.content = '';
+    }
+
+    const chapterWordCount = manuscript.chapters.reduce(
+      (total, chapter) => total + countWords(chapter.content),
+      0
+    );
+
+    if (!manuscript.content && manuscript.chapters.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No text could be extracted from the uploaded file'
+      });
+    }
+
+    // Imports always start as drafts so the author can review them
+    const story = await Story.create({
+      title,
+      content: manuscript.content || undefined,
+      genre,
+      tags: normalizeTags(req.body.tags),
+      rating,
+      contentWarnings: normalizeWarnings(req.body.contentWarnings),
+      author: req.user._id,
+      isAIGenerated: false,
+      status: 'draft',
+      chapterCount: manuscript.chapters.length,
+      chapterWordCount,
+      wordCount: countWords(manuscript.content) + chapterWordCount,
+      likes: []
+    });
+
+    try {
+      await Chapter.insertMany(manuscript.chapters.map((chapter, index) => ({
+        story: story._id,
+        title: chapter.title,
+        content: chapter.content,
+        order: index + 1,
+        wordCount: countWords(chapter.content)
+      })));
+    } catch (error) {
+      await Chapter.deleteMany({ story: story._id });
+      await Story.deleteOne({ _id: story._id });
+      throw error;
+    }
+
+    await Chapter.syncStoryStats(story._id);
+
+    await User.findByIdAndUpdate(
+      req.user._id,
+      { $push: { stories: story._id } }
+    );
+
+    await Tag.syncStory(null, story);
+    await Revision.record(story, req.user._id);
+
+    const populatedStory = await Story.findById(story._id)
+      .populate('author', 'username');
+    const data = populatedStory.toObject();
+    data.chapters = await Chapter.getTableOfContents(story._id, true);
+
+    res.status(201).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  importStory
+};
@@ -0,0 +1,335 @@
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const Story = require('../models/Story');
+const Tag = require('../models/Tag');
+const { notify } = require('../services/notifications');
+
+const MODERATION_ACTIONS = ['hide', 'unhide', 'warn', 'suspend', 'unsuspend', 'resolve', 'dismiss', 'reopen'];
+const MAX_SUSPENSION_DAYS = 365;
+// Stories are opened separately to be read, so only comments bring their text along
+const TARGET_FIELDS = {
+  story: 'title author isHidden',
+  comment: 'content author story isHidden isDeleted',
+  user: 'username'
+};
+
+// Populate each report's target with the fields for its kind
+const populateTargets = async (reports) => {
+  for (const [targetType, select] of Object.entries(TARGET_FIELDS)) {
+    const ofType = reports.filter(report => report.targetType === targetType);
+    if (ofType.length > 0) {
+      await Report.populate(ofType, { path: 'target', select });
+    }
+  }
+  return reports;
+};
+
+// Show or hide the reported story or comment everywhere it is listed
+const setHidden = async (report, isHidden) => {
+  if (report.targetType === 'user') {
+    throw new Error('Only stories and comments can be hidden');
+  }
+
+  if (report.targetType === 'story') {
+    const before = await Story.findByIdAndUpdate(report.target, { isHidden }).select('status isHidden tags');
+    if (!before) {
+      throw new Error('The reported content no longer exists');
+    }
+
+    // Hidden stories no longer count towards their tags
+    await Tag.syncStory(before, { status: before.status, isHidden, tags: before.tags });
+    return;
+  }
+
+  const result = await mongoose.model(report.targetModel).updateOne({ _id: report.target }, { isHidden });
+  if (result.matchedCount === 0) {
+    throw new Error('The reported content no longer exists');
+  }
+};
+
+// Load the user a warning or suspension applies to. Only admins may act on other staff.
+const findResponsibleUser = async (report, moderator) => {
+  const user = await User.findById(report.targetUser);
+  if (!user) {
+    throw new Error('The reported user no longer exists');
+  }
+  if (user.role !== 'user' && !moderator.isAdmin) {
+    throw new Error('Only admins can warn or suspend moderators and admins');
+  }
+  return user;
+};
+
+// Carry out a moderation action on a report and return the note for its history
+const applyAction = async (report, action, req) => {
+  const note = req.body.note ? String(req.body.note).trim() : '';
+
+  switch (action) {
+    case 'hide':
+    case 'unhide':
+      await setHidden(report, action === 'hide');
+      return note;
+
+    case 'warn': {
+      const user = await findResponsibleUser(report, req.user);
+      user.warnings.push({
+        reason: note || `Reported for ${report.reason}`,
+        moderator: req.user._id,
+        report: report._id
+      });
+      await user.save();
+      await notify({
+        recipient: user._id,
+        type: 'warning',
+        story: report.targetType === 'story' ? report.target : report.story,
+        comment: report.targetType === 'comment' ? report.target : null
+      });
+      return note;
+    }
+
+    case 'suspend': {
+      const days = parseInt(req.body.days);
+      if (!(days >= 1 && days <= MAX_SUSPENSION_DAYS)) {
+        throw new Error(`days must be between 1 and ${MAX_SUSPENSION_DAYS}`);
+      }
+
+      const user = await findResponsibleUser(report, req.user);
+      user.suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+      user.suspensionReason = note || `Reported for ${report.reason}`;
+      await user.save();
+      return `${days} ${days === 1 ? 'day' : 'days'}${note ? `: ${note}` : ''}`;
+    }
+
+    case 'unsuspend': {
+      const user = await findResponsibleUser(report, req.user);
+      user.suspendedUntil = null;
+      user.suspensionReason = null;
+      await user.save();
+      return note;
+    }
+
+    case 'resolve':
+    case 'dismiss':
+      if (report.status !== 'open') {
+        throw new Error(`This report is already ${report.status}`);
+      }
+      report.status = action === 'resolve' ? 'resolved' : 'dismissed';
+      report.resolvedAt = new Date();
+      return note;
+
+    case 'reopen':
+      if (report.status === 'open') {
+        throw new Error('This report is already open');
+      }
+      report.status = 'open';
+      report.resolvedAt = null;
+      return note;
+  }
+};
+
+// @desc    Get the moderation queue, oldest open reports first
+// @route   GET /api/moderation/reports?status=&targetType=&reason=&userId=&page=&limit=
+// @access  Private/Moderator
+const getReports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const startIndex = (page - 1) * limit;
+    const status = req.query.status || 'open';
+
+    const query = { status };
+    if (req.query.targetType) {
+      query.targetType = req.query.targetType;
+    }
+    if (req.query.reason) {
+      query.reason = req.query.reason;
+    }
+    if (req.query.userId) {
+      query.targetUser = req.query.userId;
+    }
+
+    const reports = await Report.find(query)
+      .select('-history')
+      .populate('reporter', 'username')
+      .populate('targetUser', 'username suspendedUntil')
+      .sort({ createdAt: status === 'open' ? 1 : -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    await populateTargets(reports);
+
+    const total = await Report.countDocuments(query);
+
+    // How many open reports each target has, so repeat offenders stand out
+    const openCounts = await Report.aggregate([
+      {
+        $match: {
+          target: { $in: reports.filter(report => report.target).map(report => report.target._id) },
+          status: 'open'
+        }
+      },
+      { $group: { _id: '$target', count: { $sum: 1 } } }
+    ]);
+    const countByTarget = new Map(openCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      data: {
+        reports: reports.map(report => {
+          const data = report.toObject();
+          const targetId = report.target ? report.target._id : null;
+          data.openReportsOnTarget = targetId ? countByTarget.get(targetId.toString()) || 0 : 0;
+          return data;
+        }),
+        page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a report with its full action history
+// @route   GET /api/moderation/reports/:id
+// @access  Private/Moderator
+const getReport = async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .populate('reporter', 'username')
+      .populate('targetUser', 'username role warnings suspendedUntil suspensionReason')
+      .populate('story', 'title')
+      .populate('history.by', 'username');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    await populateTargets([report]);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Act on a report: hide or unhide the content, warn, suspend or
+//          unsuspend its author, or resolve, dismiss or reopen the report
+// @route   POST /api/moderation/reports/:id/actions
+// @access  Private/Moderator
+const takeAction = async (req, res) => {
+  try {
+    const { action } = req.body;
+
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Valid actions are: ${MODERATION_ACTIONS.join(', ')}`
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const note = await applyAction(report, action, req);
+    report.history.push({ action, by: req.user._id, note: note || undefined });
+
+    try {
+      await report.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'The reporter already has an open report on this'
+        });
+      }
+      throw error;
+    }
+
+    await report.populate('history.by', 'username');
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/moderation/users/:id/role
+// @access  Private/Admin
+const updateUserRole = async (req, res) => {
+  try {
+    if (!req.body.role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role is required'
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true }
+    ).select('username role');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        username: user.username,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getReports,
+  getReport,
+  takeAction,
+  updateUserRole
+};
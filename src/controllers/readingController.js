@@ -0,0 +1,248 @@
+const Story = require('../models/Story');
+const Chapter = require('../models/Chapter');
+const ReadingProgress = require('../models/ReadingProgress');
+const Bookmark = require('../models/Bookmark');
+const { canViewStory } = require('../utils/storyAccess');
+
+// Load a story the reader is allowed to see, and the chapter they point at if any
+const findReadableStory = async (req, res, chapterId) => {
+  const story = await Story.findById(req.params.id).select('author status isHidden collaborators');
+
+  if (!story || !canViewStory(story, req.user)) {
+    res.status(404).json({
+      success: false,
+      message: 'Story not found'
+    });
+    return null;
+  }
+
+  if (chapterId && !(await Chapter.exists({ _id: chapterId, story: story._id }))) {
+    res.status(404).json({
+      success: false,
+      message: 'Chapter not found'
+    });
+    return null;
+  }
+
+  return story;
+};
+
+// @desc    Save the reader's place in a story
+// @route   PUT /api/stories/:id/progress
+// @access  Private
+const saveProgress = async (req, res) => {
+  try {
+    const { chapterId, offset, percent } = req.body;
+
+    const story = await findReadableStory(req, res, chapterId);
+    if (!story) return;
+
+    const progress = await ReadingProgress.findOneAndUpdate(
+      { user: req.user._id, story: story._id },
+      {
+        chapter: chapterId || null,
+        offset: offset || 0,
+        percent: percent || 0,
+        lastReadAt: new Date()
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the reader's place in a story
+// @route   GET /api/stories/:id/progress
+// @access  Private
+const getProgress = async (req, res) => {
+  try {
+    const progress = await ReadingProgress.findOne({
+      user: req.user._id,
+      story: req.params.id
+    });
+
+    res.json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Stories the logged in user has started but not finished
+// @route   GET /api/users/profile/continue-reading
+// @access  Private
+const getContinueReading = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const entries = await ReadingProgress.find({
+      user: req.user._id,
+      percent: { $lt: 100 }
+    })
+      .sort({ lastReadAt: -1 })
+      .limit(limit)
+      .populate({
+        path: 'story',
+        select: 'title genre image wordCount chapterCount status isHidden author collaborators',
+        populate: { path: 'author', select: 'username' }
+      })
+      .populate('chapter', 'title order');
+
+    // Stories that were unpublished since the reader started drop out of the list
+    const data = entries.filter(entry => entry.story && canViewStory(entry.story, req.user));
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List the reader's bookmarks in a story
+// @route   GET /api/stories/:id/bookmarks
+// @access  Private
+const getBookmarks = async (req, res) => {
+  try {
+    const bookmarks = await Bookmark.find({
+      user: req.user._id,
+      story: req.params.id
+    })
+      .populate('chapter', 'title order')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: bookmarks
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Add a named bookmark at a position in a story
+// @route   POST /api/stories/:id/bookmarks
+// @access  Private
+const createBookmark = async (req, res) => {
+  try {
+    const { chapterId, offset, name, note } = req.body;
+
+    const story = await findReadableStory(req, res, chapterId);
+    if (!story) return;
+
+    const bookmark = await Bookmark.create({
+      user: req.user._id,
+      story: story._id,
+      chapter: chapterId || null,
+      offset,
+      name,
+      note
+    });
+
+    res.status(201).json({
+      success: true,
+      data: bookmark
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Rename a bookmark or change its note
+// @route   PUT /api/stories/:id/bookmarks/:bookmarkId
+// @access  Private
+const updateBookmark = async (req, res) => {
+  try {
+    const bookmark = await Bookmark.findOne({
+      _id: req.params.bookmarkId,
+      story: req.params.id,
+      user: req.user._id
+    });
+
+    if (!bookmark) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bookmark not found'
+      });
+    }
+
+    const { name, note } = req.body;
+    if (name !== undefined) bookmark.name = name;
+    if (note !== undefined) bookmark.note = note;
+    await bookmark.save();
+
+    res.json({
+      success: true,
+      data: bookmark
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete a bookmark
+// @route   DELETE /api/stories/:id/bookmarks/:bookmarkId
+// @access  Private
+const deleteBookmark = async (req, res) => {
+  try {
+    const bookmark = await Bookmark.findOneAndDelete({
+      _id: req.params.bookmarkId,
+      story: req.params.id,
+      user: req.user._id
+    });
+
+    if (!bookmark) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bookmark not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bookmark deleted successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  saveProgress,
+  getProgress,
+  getContinueReading,
+  getBookmarks,
+  createBookmark,
+  updateBookmark,
+  deleteBookmark
+};
@@ -0,0 +1,60 @@
+const Story = require('../models/Story');
+const { canViewStory, isHiddenByPreferences } = require('../utils/storyAccess');
+const { getSimilarStories, getRecommendationsForUser } = require('../services/recommendations');
+
+const MAX_LIMIT = 30;
+
+// @desc    Get stories similar to this one
+// @route   GET /api/stories/:id/recommendations
+// @access  Public
+const getStoryRecommendations = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, MAX_LIMIT);
+    const story = await Story.findById(req.params.id)
+      .select('title content genre tags likes rating contentWarnings status isHidden author collaborators');
+
+    if (!story || !canViewStory(story, req.user) || isHiddenByPreferences(story, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const stories = await getSimilarStories(story, req.user, limit);
+
+    res.json({
+      success: true,
+      data: stories
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get personalized recommendations for the logged in user
+// @route   GET /api/stories/recommended
+// @access  Private
+const getMyRecommendations = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, MAX_LIMIT);
+    const stories = await getRecommendationsForUser(req.user, limit);
+
+    res.json({
+      success: true,
+      data: stories
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getStoryRecommendations,
+  getMyRecommendations
+};
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const Story = require('../models/Story');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { canViewStory } = require('../utils/storyAccess');
+
+// Look up what is being reported and who is responsible for it.
+// Returns null when the target doesn't exist or the reporter can't see it.
+const findReportTarget = async (targetType, targetId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(targetId)) return null;
+
+  if (targetType === 'story') {
+    const story = await Story.findById(targetId).select('author status isHidden collaborators');
+    if (!story || !canViewStory(story, user)) return null;
+    return { targetUser: story.author, story: null };
+  }
+
+  if (targetType === 'comment') {
+    const comment = await Comment.findById(targetId)
+      .select('author story isDeleted')
+      .populate('story', 'author status isHidden collaborators');
+    if (!comment || comment.isDeleted || !comment.story || !canViewStory(comment.story, user)) return null;
+    return { targetUser: comment.author, story: comment.story._id };
+  }
+
+  if (targetType === 'user') {
+    const target = await User.findById(targetId).select('_id');
+    if (!target) return null;
+    return { targetUser: target._id, story: null };
+  }
+
+  return null;
+};
+
+// @desc    Report a story, comment or user to the moderators
+// @route   POST /api/reports
+// @access  Private
+const createReport = async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+
+    if (!targetType || !targetId || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'targetType, targetId and reason are required'
+      });
+    }
+
+    const target = await findReportTarget(targetType, targetId, req.user);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nothing to report was found'
+      });
+    }
+
+    if (target.targetUser.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report yourself or your own content'
+      });
+    }
+
+    let report;
+    try {
+      report = await Report.create({
+        reporter: req.user._id,
+        targetType,
+        target: targetId,
+        targetUser: target.targetUser,
+        story: target.story,
+        reason,
+        details,
+        history: [{ action: 'reported', by: req.user._id, note: details }]
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have already reported this and it is awaiting review'
+        });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the reports the logged in user has made
+// @route   GET /api/reports/mine?page=&limit=
+// @access  Private
+const getMyReports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    const query = { reporter: req.user._id };
+
+    // Reporters see the outcome, not the moderators' notes
+    const reports = await Report.find(query)
+      .select('-history -targetUser')
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const total = await Report.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        reports,
+        page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  createReport,
+  getMyReports
+};
@@ -0,0 +1,193 @@
+const Story = require('../models/Story');
+const Revision = require('../models/Revision');
+const { diffLines, diffWords } = require('../utils/diff');
+const { countWords } = require('../utils/text');
+const { hasStoryPermission } = require('../utils/storyAccess');
+const { reanchorAnnotations } = require('../services/annotations');
+
+// Load the story and make sure the caller has the given permission on it
+const findAuthorizedStory = async (req, res, permission = 'read') => {
+  const story = await Story.findById(req.params.id);
+
+  if (!story) {
+    res.status(404).json({
+      success: false,
+      message: 'Story not found'
+    });
+    return null;
+  }
+
+  if (!hasStoryPermission(story, req.user, permission)) {
+    res.status(401).json({
+      success: false,
+      message: permission === 'read'
+        ? 'Not authorized to view the history of this story'
+        : 'Not authorized to restore revisions of this story'
+    });
+    return null;
+  }
+
+  return story;
+};
+
+// @desc    List a story's revisions, newest first
+// @route   GET /api/stories/:id/revisions
+// @access  Private
+const getRevisions = async (req, res) => {
+  try {
+    const story = await findAuthorizedStory(req, res);
+    if (!story) return;
+
+    const revisions = await Revision.find({ story: story._id })
+      .select('-content')
+      .populate('author', 'username')
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      data: revisions
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a single revision
+// @route   GET /api/stories/:id/revisions/:revisionId
+// @access  Private
+const getRevision = async (req, res) => {
+  try {
+    const story = await findAuthorizedStory(req, res);
+    if (!story) return;
+
+    const revision = await Revision.findOne({ _id: req.params.revisionId, story: story._id })
+      .populate('author', 'username');
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Diff two revisions
+// @route   GET /api/stories/:id/revisions/diff?from=&to=&mode=line|word
+// @access  Private
+const diffRevisions = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const mode = req.query.mode || 'line';
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both from and to revision ids are required'
+      });
+    }
+
+    if (!['line', 'word'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mode must be either line or word'
+      });
+    }
+
+    const story = await findAuthorizedStory(req, res);
+    if (!story) return;
+
+    const [fromRevision, toRevision] = await Promise.all([
+      Revision.findOne({ _id: from, story: story._id }),
+      Revision.findOne({ _id: to, story: story._id })
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const diffContent = mode === 'word' ? diffWords : diffLines;
+
+    res.json({
+      success: true,
+      data: {
+        from: { _id: fromRevision._id, version: fromRevision.version, createdAt: fromRevision.createdAt },
+        to: { _id: toRevision._id, version: toRevision.version, createdAt: toRevision.createdAt },
+        mode,
+        title: diffWords(fromRevision.title, toRevision.title),
+        content: diffContent(fromRevision.content, toRevision.content)
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Restore an older revision as the current version
+// @route   POST /api/stories/:id/revisions/:revisionId/restore
+// @access  Private
+const restoreRevision = async (req, res) => {
+  try {
+    const story = await findAuthorizedStory(req, res, 'edit');
+    if (!story) return;
+
+    const revision = await Revision.findOne({ _id: req.params.revisionId, story: story._id });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const updatedStory = await Story.findByIdAndUpdate(
+      story._id,
+      {
+        title: revision.title,
+        content: revision.content,
+        wordCount: countWords(revision.content) + (story.chapterWordCount || 0)
+      },
+      { new: true, runValidators: true }
+    ).populate('author', 'username');
+
+    // Restoring is itself a change, so it gets its own revision
+    await Revision.record(updatedStory, req.user._id, revision._id);
+    await reanchorAnnotations(story._id, null, updatedStory.content);
+
+    res.json({
+      success: true,
+      data: updatedStory
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+};
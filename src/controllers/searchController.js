@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const { publicStoryFilter } = require('../utils/storyAccess');
+const { getHiddenAuthorIds, excludeAuthors } = require('../services/relationships');
+const { normalizeTags } = require('../utils/tags');
+
+const SORT_OPTIONS = {
+  relevance: { score: -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  longest: { wordCount: -1, createdAt: -1 },
+  shortest: { wordCount: 1, createdAt: -1 },
+  popular: { likeCount: -1, createdAt: -1 }
+};
+
+const MAX_LIMIT = 50;
+
+// Accepts either ?genres=a,b or ?genres=a&genres=b
+const parseList = (value) => {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(items.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+};
+
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative whole number`);
+  }
+  return number;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+// Split the query string into the shared match and the two faceted filters.
+// Genre and AI filters are kept apart so each facet can be counted without its own filter.
+const buildSearchFilters = (query, user, hiddenAuthorIds) => {
+  const match = publicStoryFilter(user);
+
+  if (query.q) {
+    match.$text = { $search: String(query.q) };
+  }
+
+  if (query.minWords !== undefined || query.maxWords !== undefined) {
+    match.wordCount = {};
+    if (query.minWords !== undefined) match.wordCount.$gte = parseNumber(query.minWords, 'minWords');
+    if (query.maxWords !== undefined) match.wordCount.$lte = parseNumber(query.maxWords, 'maxWords');
+  }
+
+  if (query.from || query.to) {
+    match.createdAt = {};
+    if (query.from) match.createdAt.$gte = parseDate(query.from, 'from');
+    if (query.to) match.createdAt.$lte = parseDate(query.to, 'to');
+  }
+
+  if (query.author) {
+    if (!mongoose.Types.ObjectId.isValid(query.author)) {
+      throw new Error('author must be a valid user id');
+    }
+    match.author = new mongoose.Types.ObjectId(query.author);
+  }
+
+  if (query.tags) {
+    match.tags = { $all: normalizeTags(query.tags) };
+  }
+
+  excludeAuthors(match, hiddenAuthorIds);
+
+  const genreFilter = {};
+  if (query.genres) {
+    genreFilter.genre = { $in: parseList(query.genres) };
+  }
+
+  const aiFilter = {};
+  if (query.ai !== undefined) {
+    if (!['true', 'false'].includes(query.ai)) {
+      throw new Error('ai must be true or false');
+    }
+    // Stories saved before the flag existed count as human-written
+    aiFilter.isAIGenerated = query.ai === 'true' ? true : { $ne: true };
+  }
+
+  return { match, genreFilter, aiFilter };
+};
+
+// @desc    Search published stories with filters, sorting and facet counts
+// @route   GET /api/stories/search
+// @access  Public
+const searchStories = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_LIMIT);
+    const startIndex = (page - 1) * limit;
+
+    const sort = req.query.sort || (req.query.q ? 'relevance' : 'newest');
+    if (!SORT_OPTIONS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Valid sort options are: ${Object.keys(SORT_OPTIONS).join(', ')}`
+      });
+    }
+    if (sort === 'relevance' && !req.query.q) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sorting by relevance requires a search query'
+      });
+    }
+
+    const { match, genreFilter, aiFilter } = buildSearchFilters(
+      req.query,
+      req.user,
+      await getHiddenAuthorIds(req.user)
+    );
+
+    const [result] = await Story.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          likeCount: { $size: { $ifNull: ['$likes', []] } },
+          ...(req.query.q ? { score: { $meta: 'textScore' } } : {})
+        }
+      },
+      {
+        $facet: {
+          stories: [
+            { $match: { ...genreFilter, ...aiFilter } },
+            { $sort: SORT_OPTIONS[sort] },
+            { $skip: startIndex },
+            { $limit: limit },
+            // The facet result is one document capped at 16MB, so leave out the heavy fields
+            { $project: { content: 0, likes: 0 } }
+          ],
+          total: [
+            { $match: { ...genreFilter, ...aiFilter } },
+            { $count: 'count' }
+          ],
+          genres: [
+            { $match: aiFilter },
+            { $group: { _id: '$genre', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          aiGenerated: [
+            { $match: genreFilter },
+            { $group: { _id: { $ifNull: ['$isAIGenerated', false] }, count: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]);
+
+    const stories = await Story.populate(result.stories, { path: 'author', select: 'username' });
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    const aiCount = (value) => {
+      const bucket = result.aiGenerated.find(entry => entry._id === value);
+      return bucket ? bucket.count : 0;
+    };
+
+    res.json({
+      success: true,
+      data: {
+        stories,
+        facets: {
+          genres: result.genres.map(entry => ({ genre: entry._id, count: entry.count })),
+          aiGenerated: { ai: aiCount(true), human: aiCount(false) }
+        },
+        sort,
+        page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  searchStories
+};
@@ -0,0 +1,403 @@
+const mongoose = require('mongoose');
+const Series = require('../models/Series');
+const Story = require('../models/Story');
+const { canViewStory, isHiddenByPreferences } = require('../utils/storyAccess');
+
+const STORY_FIELDS = 'title genre tags rating contentWarnings wordCount image status publishedAt author createdAt';
+
+const isSeriesAuthor = (series, user) => {
+  return Boolean(user) && series.author.toString() === user._id.toString();
+};
+
+// Make sure every story belongs to the user and is not already part of another series
+const validateMemberStories = async (storyIds, user) => {
+  if (!storyIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return 'Invalid story id';
+  }
+
+  const stories = await Story.find({ _id: { $in: storyIds } }).select('author series');
+
+  if (stories.length !== storyIds.length) {
+    return 'One or more stories were not found';
+  }
+  if (stories.some(story => story.author.toString() !== user._id.toString())) {
+    return 'You can only add your own stories to a series';
+  }
+  if (stories.some(story => story.series)) {
+    return 'A story can only belong to one series';
+  }
+
+  return null;
+};
+
+// @desc    Create a series
+// @route   POST /api/series
+// @access  Private
+const createSeries = async (req, res) => {
+  try {
+    const { title, description } = req.body;
+    const storyIds = [...new Set((req.body.stories || []).map(String))];
+
+    if (!title) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title is required'
+      });
+    }
+
+    const storyError = await validateMemberStories(storyIds, req.user);
+    if (storyError) {
+      return res.status(400).json({
+        success: false,
+        message: storyError
+      });
+    }
+
+    const series = await Series.create({
+      title,
+      description,
+      author: req.user._id,
+      stories: storyIds
+    });
+
+    await Story.updateMany({ _id: { $in: storyIds } }, { series: series._id });
+
+    res.status(201).json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List series, optionally for one author
+// @route   GET /api/series
+// @access  Public
+const getSeriesList = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.author) {
+      query.author = req.query.author;
+    }
+
+    const series = await Series.find(query)
+      .populate('author', 'username')
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    const total = await Series.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        series,
+        page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a series page with its stories in order
+// @route   GET /api/series/:id
+// @access  Public
+const getSeriesById = async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id)
+      .populate('author', 'username')
+      .populate('stories', STORY_FIELDS);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    // Readers never see drafts or filtered content, so navigation skips over them
+    const visible = series.stories.filter(story => (
+      story && canViewStory(story, req.user) && !isHiddenByPreferences(story, req.user)
+    ));
+    const link = (story) => (story ? { _id: story._id, title: story.title } : null);
+
+    const data = series.toObject();
+    data.stories = visible.map((story, index) => ({
+      ...story.toObject(),
+      position: index + 1,
+      previous: link(visible[index - 1]),
+      next: link(visible[index + 1])
+    }));
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update a series' details
+// @route   PUT /api/series/:id
+// @access  Private
+const updateSeries = async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    if (!isSeriesAuthor(series, req.user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to update this series'
+      });
+    }
+
+    const { title, description } = req.body;
+    if (title !== undefined) series.title = title;
+    if (description !== undefined) series.description = description;
+
+    await series.save();
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete a series; its stories are kept
+// @route   DELETE /api/series/:id
+// @access  Private
+const deleteSeries = async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    if (!isSeriesAuthor(series, req.user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to delete this series'
+      });
+    }
+
+    await Story.updateMany({ series: series._id }, { series: null });
+    await Series.deleteOne({ _id: series._id });
+
+    res.json({
+      success: true,
+      message: 'Series deleted successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Add a story to a series, at the end or at a given position
+// @route   POST /api/series/:id/stories
+// @access  Private
+const addStoryToSeries = async (req, res) => {
+  try {
+    const { storyId, position } = req.body;
+    const series = await Series.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    if (!isSeriesAuthor(series, req.user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to update this series'
+      });
+    }
+
+    if (!storyId) {
+      return res.status(400).json({
+        success: false,
+        message: 'storyId is required'
+      });
+    }
+
+    if (series.stories.some(id => id.toString() === String(storyId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Story is already in this series'
+      });
+    }
+
+    const storyError = await validateMemberStories([String(storyId)], req.user);
+    if (storyError) {
+      return res.status(400).json({
+        success: false,
+        message: storyError
+      });
+    }
+
+    // Positions are 1-based; anything out of range appends
+    const index = parseInt(position) >= 1 ? Math.min(parseInt(position) - 1, series.stories.length) : series.stories.length;
+    series.stories.splice(index, 0, storyId);
+    await series.save();
+
+    await Story.updateOne({ _id: storyId }, { series: series._id });
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Remove a story from a series
+// @route   DELETE /api/series/:id/stories/:storyId
+// @access  Private
+const removeStoryFromSeries = async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    if (!isSeriesAuthor(series, req.user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to update this series'
+      });
+    }
+
+    const remaining = series.stories.filter(id => id.toString() !== req.params.storyId);
+    if (remaining.length === series.stories.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story is not in this series'
+      });
+    }
+
+    series.stories = remaining;
+    await series.save();
+
+    await Story.updateOne({ _id: req.params.storyId, series: series._id }, { series: null });
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Reorder the stories in a series
+// @route   PUT /api/series/:id/stories/order
+// @access  Private
+const reorderSeriesStories = async (req, res) => {
+  try {
+    const { storyIds } = req.body;
+    const series = await Series.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    if (!isSeriesAuthor(series, req.user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to update this series'
+      });
+    }
+
+    const existingIds = series.stories.map(id => id.toString());
+
+    // The new order must list every story exactly once
+    if (
+      !Array.isArray(storyIds) ||
+      storyIds.length !== existingIds.length ||
+      new Set(storyIds).size !== storyIds.length ||
+      !storyIds.every(id => existingIds.includes(String(id)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'storyIds must contain every story in the series exactly once'
+      });
+    }
+
+    series.stories = storyIds;
+    await series.save();
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  createSeries,
+  getSeriesList,
+  getSeriesById,
+  updateSeries,
+  deleteSeries,
+  addStoryToSeries,
+  removeStoryFromSeries,
+  reorderSeriesStories
+};
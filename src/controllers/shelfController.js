@@ -0,0 +1,366 @@
+const mongoose = require('mongoose');
+const Shelf = require('../models/Shelf');
+const Story = require('../models/Story');
+const { canViewStory, isHiddenByPreferences } = require('../utils/storyAccess');
+
+const MAX_SHELF_STORIES = 500;
+const STORY_FIELDS = 'title genre tags rating contentWarnings wordCount image status isHidden author collaborators createdAt';
+
+const isShelfOwner = (shelf, user) => {
+  const ownerId = shelf.owner._id || shelf.owner;
+  return Boolean(user) && ownerId.toString() === user._id.toString();
+};
+
+// Summary used in shelf lists, without the full story entries
+const toSummary = (shelf) => ({
+  _id: shelf._id,
+  name: shelf.name,
+  description: shelf.description,
+  isPublic: shelf.isPublic,
+  storyCount: shelf.stories.length,
+  createdAt: shelf.createdAt,
+  updatedAt: shelf.updatedAt
+});
+
+// @desc    Get the logged in user's shelves
+// @route   GET /api/shelves
+// @access  Private
+const getMyShelves = async (req, res) => {
+  try {
+    const shelves = await Shelf.find({ owner: req.user._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: shelves.map(toSummary)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get another user's public shelves
+// @route   GET /api/shelves/user/:userId
+// @access  Public
+const getUserShelves = async (req, res) => {
+  try {
+    const query = { owner: req.params.userId };
+    if (!req.user || req.user._id.toString() !== req.params.userId) {
+      query.isPublic = true;
+    }
+
+    const shelves = await Shelf.find(query).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: shelves.map(toSummary)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a shelf with its stories
+// @route   GET /api/shelves/:id
+// @access  Public
+const getShelfById = async (req, res) => {
+  try {
+    const shelf = await Shelf.findById(req.params.id)
+      .populate('owner', 'username profilePicture')
+      .populate({
+        path: 'stories.story',
+        select: STORY_FIELDS,
+        populate: { path: 'author', select: 'username' }
+      });
+
+    // Private shelves look the same as missing ones to everyone but the owner
+    if (!shelf || (!shelf.isPublic && !isShelfOwner(shelf, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shelf not found'
+      });
+    }
+
+    const data = shelf.toObject();
+    data.stories = shelf.stories
+      .filter(entry => (
+        entry.story && canViewStory(entry.story, req.user) && !isHiddenByPreferences(entry.story, req.user)
+      ))
+      .map(entry => entry.toObject());
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create a shelf
+// @route   POST /api/shelves
+// @access  Private
+const createShelf = async (req, res) => {
+  try {
+    const { name, description, isPublic } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shelf name is required'
+      });
+    }
+
+    if (await Shelf.exists({ owner: req.user._id, name: name.trim() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a shelf with this name'
+      });
+    }
+
+    const shelf = await Shelf.create({
+      owner: req.user._id,
+      name,
+      description,
+      isPublic
+    });
+
+    res.status(201).json({
+      success: true,
+      data: shelf
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Rename a shelf or change its visibility
+// @route   PUT /api/shelves/:id
+// @access  Private
+const updateShelf = async (req, res) => {
+  try {
+    const shelf = await Shelf.findById(req.params.id);
+
+    if (!shelf || !isShelfOwner(shelf, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shelf not found'
+      });
+    }
+
+    const { name, description, isPublic } = req.body;
+
+    if (name !== undefined && name.trim() !== shelf.name &&
+      await Shelf.exists({ owner: req.user._id, name: name.trim() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a shelf with this name'
+      });
+    }
+
+    if (name !== undefined) shelf.name = name;
+    if (description !== undefined) shelf.description = description;
+    if (isPublic !== undefined) shelf.isPublic = Boolean(isPublic);
+    await shelf.save();
+
+    res.json({
+      success: true,
+      data: shelf
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete a shelf
+// @route   DELETE /api/shelves/:id
+// @access  Private
+const deleteShelf = async (req, res) => {
+  try {
+    const shelf = await Shelf.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+
+    if (!shelf) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shelf not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shelf deleted successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Add a story to a shelf
+// @route   POST /api/shelves/:id/stories
+// @access  Private
+const addStoryToShelf = async (req, res) => {
+  try {
+    const { storyId } = req.body;
+    const shelf = await Shelf.findById(req.params.id);
+
+    if (!shelf || !isShelfOwner(shelf, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shelf not found'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(storyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid storyId is required'
+      });
+    }
+
+    const story = await Story.findById(storyId).select('author status isHidden collaborators');
+    if (!story || !canViewStory(story, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (shelf.stories.some(entry => entry.story.toString() === storyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Story is already on this shelf'
+      });
+    }
+
+    if (shelf.stories.length >= MAX_SHELF_STORIES) {
+      return res.status(400).json({
+        success: false,
+        message: `A shelf can hold at most ${MAX_SHELF_STORIES} stories`
+      });
+    }
+
+    shelf.stories.push({ story: story._id });
+    await shelf.save();
+
+    res.json({
+      success: true,
+      data: shelf
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Remove a story from a shelf
+// @route   DELETE /api/shelves/:id/stories/:storyId
+// @access  Private
+const removeStoryFromShelf = async (req, res) => {
+  try {
+    const shelf = await Shelf.findById(req.params.id);
+
+    if (!shelf || !isShelfOwner(shelf, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shelf not found'
+      });
+    }
+
+    const remaining = shelf.stories.filter(entry => entry.story.toString() !== req.params.storyId);
+    if (remaining.length === shelf.stories.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story is not on this shelf'
+      });
+    }
+
+    shelf.stories = remaining;
+    await shelf.save();
+
+    res.json({
+      success: true,
+      data: shelf
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Reorder the stories on a shelf
+// @route   PUT /api/shelves/:id/stories/order
+// @access  Private
+const reorderShelfStories = async (req, res) => {
+  try {
+    const { storyIds } = req.body;
+    const shelf = await Shelf.findById(req.params.id);
+
+    if (!shelf || !isShelfOwner(shelf, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shelf not found'
+      });
+    }
+
+    const entries = new Map(shelf.stories.map(entry => [entry.story.toString(), entry]));
+
+    // The new order must list every story exactly once
+    if (
+      !Array.isArray(storyIds) ||
+      storyIds.length !== entries.size ||
+      new Set(storyIds).size !== storyIds.length ||
+      !storyIds.every(id => entries.has(String(id)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'storyIds must contain every story on the shelf exactly once'
+      });
+    }
+
+    shelf.stories = storyIds.map(id => entries.get(String(id)).toObject());
+    await shelf.save();
+
+    res.json({
+      success: true,
+      data: shelf
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMyShelves,
+  getUserShelves,
+  getShelfById,
+  createShelf,
+  updateShelf,
+  deleteShelf,
+  addStoryToShelf,
+  removeStoryFromShelf,
+  reorderShelfStories
+};
@@ -1,15 +1,97 @@
 const Story = require('../models/Story');
 const User = require('../models/User');
+const Chapter = require('../models/Chapter');
+const Revision = require('../models/Revision');
+const Tag = require('../models/Tag');
+const Series = require('../models/Series');
 const { uploadToCloudinary } = require('../config/cloudinary');
 const { formatBufferTo64 } = require('../middleware/upload');
 const fetch = require('node-fetch');
+const { removeStory } = require('../services/storyCleanup');
+const { TRENDING_WINDOWS, trendingQuery } = require('../services/trending');
+const { trackView, trackActivity } = require('../services/analytics');
+const { reanchorAnnotations } = require('../services/annotations');
+const { notify, retractNotification } = require('../services/notifications');
+const { publishStoryCounts } = require('../services/realtime');
+const { getHiddenAuthorIds, excludeAuthors } = require('../services/relationships');
+const { countWords } = require('../utils/text');
+const { normalizeTags } = require('../utils/tags');
+const {
+  hasStoryPermission,
+  publicStoryFilter,
+  canViewStory,
+  denyHiddenByPreferences
+} = require('../utils/storyAccess');
+const { RATINGS, normalizeWarnings } = require('../utils/contentRating');
+const { CURSOR_SORTS, scopeToSort, applyCursor, buildCursorPage } = require('../utils/pagination');
+
+// Fields an author may change through updateStory
+const UPDATABLE_FIELDS = [
+  'title',
+  'content',
+  'genre',
+  'tags',
+  'rating',
+  'contentWarnings',
+  'isAIGenerated',
+  'allowForks',
+  'annotationVisibility',
+  'status',
+  'image'
+];
+
+// Of those, fields only the owner may change
+const OWNER_FIELDS = ['status', 'allowForks', 'annotationVisibility'];
+
+// Run a story listing either by page number or, when ?cursor is given, from a cursor.
+// Both modes return cursors; only page mode counts the total.
+const paginateStories = async (req, baseQuery) => {
+  const limit = parseInt(req.query.limit) || 10;
+  const sortKey = req.query.sort || 'newest';
+
+  if (!CURSOR_SORTS[sortKey]) {
+    throw new Error(`Valid sort options are: ${Object.keys(CURSOR_SORTS).join(', ')}`);
+  }
+
+  const { query, sort, reversed } = applyCursor(baseQuery, sortKey, req.query.cursor);
+  const cursorMode = Boolean(req.query.cursor);
+  const page = cursorMode ? null : parseInt(req.query.page) || 1;
+  const startIndex = cursorMode ? 0 : (page - 1) * limit;
+
+  const stories = await Story.find(query)
+    .populate('author', 'username')
+    .sort(sort)
+    .skip(startIndex)
+    .limit(limit + 1);
+
+  const result = buildCursorPage(stories, sortKey, limit, {
+    reversed,
+    hasPrevious: cursorMode || startIndex > 0
+  });
+
+  const data = {
+    stories: result.items,
+    sort: sortKey,
+    nextCursor: result.nextCursor,
+    prevCursor: result.prevCursor
+  };
+
+  if (!cursorMode) {
+    const total = await Story.countDocuments(scopeToSort(baseQuery, sortKey));
+    Object.assign(data, { page, pages: Math.ceil(total / limit), total });
+  }
+
+  return data;
+};
 
 // @desc    Create new story
 // @route   POST /api/stories
 // @access  Private
 const createStory = async (req, res) => {
   try {
-    const { title, content, genre, isAIGenerated } = req.body;
+    const { title, content, genre, rating, isAIGenerated, status, publishAt } = req.body;
+    const tags = normalizeTags(req.body.tags);
+    const contentWarnings = normalizeWarnings(req.body.contentWarnings);
     let imageUrl = null;
 
     // Handle image upload if present
@@ -44,6 +126,14 @@ const createStory = async (req, res) => {
       });
     }
 
+    // Every story needs an audience rating
+    if (!RATINGS.includes(rating)) {
+      return res.status(400).json({
+        success: false,
+        message: `Rating is required. Valid ratings are: ${RATINGS.join(', ')}`
+      });
+    }
+
     // Validate genre
     const validGenres = ['fantasy', 'romance', 'mystery', 'science-fiction', 'horror'];
     if (!validGenres.includes(genre)) {
@@ -53,15 +143,32 @@ const createStory = async (req, res) => {
       });
     }
 
+    // A future publish time keeps the story as a draft until the scheduler releases it
+    let scheduledAt = null;
+    if (publishAt) {
+      scheduledAt = new Date(publishAt);
+      if (isNaN(scheduledAt.getTime()) || scheduledAt <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'publishAt must be a valid date in the future'
+        });
+      }
+    }
+
     const story = await Story.create({
       title,
       content,
       genre,
+      tags,
+      rating,
+      contentWarnings,
       author: req.user._id,
       isAIGenerated,
       wordCount: content.trim().split(/\s+/).length,
       likes: [],
-      image: imageUrl
+      image: imageUrl,
+      status: scheduledAt ? 'draft' : status,
+      publishAt: scheduledAt
     });
 
     // Add story to user's stories array
@@ -71,6 +178,11 @@ const createStory = async (req, res) => {
       { new: true }
     );
 
+    await Tag.syncStory(null, story);
+
+    // First entry in the story's revision history
+    await Revision.record(story, req.user._id);
+
     const populatedStory = await Story.findById(story._id)
       .populate('author', 'username');
 
@@ -86,16 +198,13 @@ const createStory = async (req, res) => {
   }
 };
 
-// @desc    Get all stories with pagination and filters
-// @route   GET /api/stories
+// @desc    Get all stories with page or cursor pagination and filters
+// @route   GET /api/stories?page=|cursor=&sort=
 // @access  Public
 const getStories = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const startIndex = (page - 1) * limit;
-
-    let query = {};
+    // Drafts and stories outside the viewer's content preferences never show up
+    let query = publicStoryFilter(req.user);
 
     // Apply filters if they exist
     if (req.query.genre) {
@@ -107,22 +216,59 @@ const getStories = async (req, res) => {
     if (req.query.author) {
       query.author = req.query.author;
     }
+    if (req.query.tags) {
+      query.tags = { $all: normalizeTags(req.query.tags) };
+    }
+
+    // Leave out authors the viewer blocked or muted, and those who blocked the viewer
+    excludeAuthors(query, await getHiddenAuthorIds(req.user));
+
+    const data = await paginateStories(req, query);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get trending stories for a time window, optionally in one genre
+// @route   GET /api/stories/trending?window=day|week|all&genre=
+// @access  Public
+const getTrendingStories = async (req, res) => {
+  try {
+    const window = req.query.window || 'day';
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    if (window !== 'all' && !TRENDING_WINDOWS[window]) {
+      return res.status(400).json({
+        success: false,
+        message: `Valid windows are: ${[...Object.keys(TRENDING_WINDOWS), 'all'].join(', ')}`
+      });
+    }
+
+    const { filter, sort } = trendingQuery(window);
+    const query = { ...publicStoryFilter(req.user), ...filter };
+    if (req.query.genre) {
+      query.genre = req.query.genre;
+    }
+    excludeAuthors(query, await getHiddenAuthorIds(req.user));
 
     const stories = await Story.find(query)
       .populate('author', 'username')
-      .sort({ createdAt: -1 })
-      .skip(startIndex)
+      .sort(sort)
       .limit(limit);
 
-    const total = await Story.countDocuments(query);
-
     res.json({
       success: true,
       data: {
-        stories,
-        page,
-        pages: Math.ceil(total / limit),
-        total
+        window,
+        stories
       }
     });
   } catch (error) {
@@ -140,19 +286,47 @@ const getStoryById = async (req, res) => {
   try {
     const story = await Story.findById(req.params.id)
       .populate('author', 'username')
-      .populate('comments.user', 'username');
+      .populate('collaborators.user', 'username profilePicture');
 
-    if (story) {
-      res.json({
-        success: true,
-        data: story
-      });
-    } else {
-      res.status(404).json({
+    if (!story || !canViewStory(story, req.user)) {
+      return res.status(404).json({
         success: false,
         message: 'Story not found'
       });
     }
+
+    if (denyHiddenByPreferences(res, story, req.user)) return;
+
+    const data = story.toObject();
+
+    // Pending invitations are only shown to the owner
+    if (!hasStoryPermission(story, req.user, 'manage')) {
+      data.collaborators = data.collaborators.filter(entry => entry.status === 'accepted');
+    }
+
+    // Serialized stories return a table of contents instead of the full text
+    if (story.chapterCount > 0) {
+      delete data.content;
+      data.chapters = await Chapter.getTableOfContents(story._id, hasStoryPermission(story, req.user, 'read'));
+    }
+
+    // Series membership with previous/next links
+    if (story.series) {
+      data.series = await Series.getNavigation(story.series, story._id, req.user);
+    }
+
+    // Authors and collaborators reading their own work do not count as views.
+    // Tracking runs in the background so a failure there never breaks reading.
+    if (story.status === 'published' && !hasStoryPermission(story, req.user, 'read')) {
+      trackView(story, req).catch(error => {
+        console.error('View tracking error:', error.message);
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
   } catch (error) {
     res.status(400).json({
       success: false,
@@ -175,25 +349,74 @@ const updateStory = async (req, res) => {
       });
     }
 
-    // Check if user is story author
-    if (story.author.toString() !== req.user._id.toString()) {
+    // Owners and co-authors may edit
+    if (!hasStoryPermission(story, req.user, 'edit')) {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to update this story'
       });
     }
 
+    const updates = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    // Publishing and fork settings stay with the owner
+    const changesOwnerField = OWNER_FIELDS.some(field => (
+      updates[field] !== undefined && updates[field] !== story[field]
+    ));
+    if (changesOwnerField && !hasStoryPermission(story, req.user, 'manage')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Only the story owner can change its status or fork settings'
+      });
+    }
+
+    if (updates.tags !== undefined) {
+      updates.tags = normalizeTags(updates.tags);
+    }
+    if (updates.contentWarnings !== undefined) {
+      updates.contentWarnings = normalizeWarnings(updates.contentWarnings);
+    }
+
+    // Publishing through a plain update still records when it happened
+    if (updates.status === 'published' && story.status !== 'published') {
+      updates.publishedAt = new Date();
+      updates.publishAt = null;
+    }
+
     // If content is being updated, recalculate word count
-    if (req.body.content) {
-      req.body.wordCount = req.body.content.trim().split(/\s+/).length;
+    if (updates.content) {
+      updates.wordCount = countWords(updates.content) + (story.chapterWordCount || 0);
+    }
+
+    const isTextChange = (updates.title !== undefined && updates.title !== story.title) ||
+      (updates.content !== undefined && updates.content !== story.content);
+
+    // Stories written before revisions were tracked get their original text saved first
+    if (isTextChange) {
+      await Revision.ensureBaseline(story);
     }
 
     const updatedStory = await Story.findByIdAndUpdate(
       req.params.id,
-      { ...req.body },
+      updates,
       { new: true, runValidators: true }
     ).populate('author', 'username');
 
+    if (isTextChange) {
+      await Revision.record(updatedStory, req.user._id);
+    }
+
+    if (updates.content !== undefined && updates.content !== story.content) {
+      await reanchorAnnotations(story._id, null, updatedStory.content);
+    }
+
+    await Tag.syncStory(story, updatedStory);
+
     res.json({
       success: true,
       data: updatedStory
@@ -220,8 +443,8 @@ const deleteStory = async (req, res) => {
       });
     }
 
-    // Check if user is story author
-    if (story.author.toString() !== req.user._id.toString()) {
+    // Only the owner may delete
+    if (!hasStoryPermission(story, req.user, 'manage')) {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to delete this story'
@@ -234,7 +457,7 @@ const deleteStory = async (req, res) => {
       { $pull: { stories: story._id } }
     );
 
-    await Story.deleteOne({ _id: story._id });
+    await removeStory(story);
 
     res.json({
       success: true,
@@ -248,10 +471,10 @@ const deleteStory = async (req, res) => {
   }
 };
 
-// @desc    Like/Unlike story
-// @route   POST /api/stories/:id/like
+// @desc    Publish a story now or schedule it for later
+// @route   POST /api/stories/:id/publish
 // @access  Private
-const toggleLikeStory = async (req, res) => {
+const publishStory = async (req, res) => {
   try {
     const story = await Story.findById(req.params.id);
 
@@ -262,25 +485,41 @@ const toggleLikeStory = async (req, res) => {
       });
     }
 
-    const isLiked = story.likes.includes(req.user._id);
+    if (!hasStoryPermission(story, req.user, 'manage')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to publish this story'
+      });
+    }
 
-    if (isLiked) {
-      // Unlike
-      story.likes = story.likes.filter(
-        like => like.toString() !== req.user._id.toString()
-      );
+    const before = { status: story.status, isHidden: story.isHidden, tags: story.tags };
+
+    if (req.body.publishAt) {
+      const scheduledAt = new Date(req.body.publishAt);
+      if (isNaN(scheduledAt.getTime()) || scheduledAt <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'publishAt must be a valid date in the future'
+        });
+      }
+
+      story.status = 'draft';
+      story.publishAt = scheduledAt;
     } else {
-      // Like
-      story.likes.push(req.user._id);
+      story.status = 'published';
+      story.publishedAt = new Date();
+      story.publishAt = null;
     }
 
     await story.save();
+    await Tag.syncStory(before, story);
 
     res.json({
       success: true,
       data: {
-        likes: story.likes.length,
-        isLiked: !isLiked
+        status: story.status,
+        publishAt: story.publishAt,
+        publishedAt: story.publishedAt
       }
     });
   } catch (error) {
@@ -291,12 +530,11 @@ const toggleLikeStory = async (req, res) => {
   }
 };
 
-// @desc    Add comment to story
-// @route   POST /api/stories/:id/comments
+// @desc    Return a story to draft and cancel any scheduled publish
+// @route   POST /api/stories/:id/unpublish
 // @access  Private
-const addComment = async (req, res) => {
+const unpublishStory = async (req, res) => {
   try {
-    const { content } = req.body;
     const story = await Story.findById(req.params.id);
 
     if (!story) {
@@ -306,20 +544,86 @@ const addComment = async (req, res) => {
       });
     }
 
-    const comment = {
-      user: req.user._id,
-      content
-    };
+    if (!hasStoryPermission(story, req.user, 'manage')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to unpublish this story'
+      });
+    }
+
+    const before = { status: story.status, isHidden: story.isHidden, tags: story.tags };
 
-    story.comments.push(comment);
+    story.status = 'draft';
+    story.publishAt = null;
     await story.save();
+    await Tag.syncStory(before, story);
 
-    const populatedStory = await Story.findById(req.params.id)
-      .populate('comments.user', 'username');
+    res.json({
+      success: true,
+      data: {
+        status: story.status,
+        publishAt: story.publishAt,
+        publishedAt: story.publishedAt
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
 
-    res.status(201).json({
+// @desc    Like/Unlike story
+// @route   POST /api/stories/:id/like
+// @access  Private
+const toggleLikeStory = async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id);
+
+    if (!story || !canViewStory(story, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const isLiked = story.likes.includes(req.user._id);
+
+    if (isLiked) {
+      // Unlike
+      story.likes = story.likes.filter(
+        like => like.toString() !== req.user._id.toString()
+      );
+    } else {
+      // Like
+      story.likes.push(req.user._id);
+    }
+
+    await story.save();
+
+    // The like is saved by now, so a failure past this point must not fail the request.
+    // Notify before logging the like, so a notification it starts is never newer than the like.
+    try {
+      const notification = { recipient: story.author, actor: req.user._id, type: 'like', story: story._id };
+      if (isLiked) {
+        const likedAt = await trackActivity(story._id, req.user._id, 'like', { remove: true });
+        await retractNotification({ ...notification, since: likedAt });
+      } else {
+        await notify(notification);
+        await trackActivity(story._id, req.user._id, 'like');
+      }
+      await publishStoryCounts(story._id);
+    } catch (error) {
+      console.error('Like tracking error:', error.message);
+    }
+
+    res.json({
       success: true,
-      data: populatedStory.comments
+      data: {
+        likes: story.likes.length,
+        isLiked: !isLiked
+      }
     });
   } catch (error) {
     res.status(400).json({
@@ -329,15 +633,11 @@ const addComment = async (req, res) => {
   }
 };
 
-// @desc    Get user's stories with pagination
-// @route   GET /api/stories/user/:userId
+// @desc    Get user's stories with page or cursor pagination
+// @route   GET /api/stories/user/:userId?page=|cursor=&sort=
 // @access  Private
 const getUserStories = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const startIndex = (page - 1) * limit;
-
     // Ensure user can only get their own stories
     if (req.params.userId !== req.user._id.toString()) {
       return res.status(401).json({
@@ -346,35 +646,22 @@ const getUserStories = async (req, res) => {
       });
     }
 
-    const stories = await Story.find({ author: req.params.userId })
-      .populate('author', 'username')
-      .sort({ createdAt: -1 })
-      .skip(startIndex)
-      .limit(limit);
-
-    const total = await Story.countDocuments({ author: req.params.userId });
+    const data = await paginateStories(req, { author: req.params.userId });
 
-    if (total === 0) {
+    if (data.total === 0) {
       return res.json({
         success: true,
         message: 'No stories have been written yet',
         data: {
-          stories: [],
-          page: 1,
-          pages: 0,
-          total: 0
+          ...data,
+          page: 1
         }
       });
     }
 
     res.json({
       success: true,
-      data: {
-        stories,
-        page,
-        pages: Math.ceil(total / limit),
-        total
-      }
+      data
     });
   } catch (error) {
     res.status(400).json({
@@ -537,11 +824,13 @@ const generateAIStory = async (req, res) => {
 module.exports = {
   createStory,
   getStories,
+  getTrendingStories,
   getStoryById,
   updateStory,
   deleteStory,
+  publishStory,
+  unpublishStory,
   toggleLikeStory,
-  addComment,
   getUserStories,
   generateAIStory
 };
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const { canViewStory } = require('../utils/storyAccess');
+const { subscribe, eventsSince, getStoryCounts } = require('../services/realtime');
+const { issueTicket } = require('../services/streamTickets');
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const RECONNECT_DELAY = 5000;
+const MAX_STORIES = 10;
+
+const writeEvent = (res, { id, event, data }) => {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// @desc    Stream the user's notifications and live counts for the stories they are viewing
+// @route   GET /api/stream?stories=id1,id2&ticket=
+// @access  Private
+const openStream = async (req, res) => {
+  let stories;
+  try {
+    const storyIds = String(req.query.stories || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+
+    if (storyIds.length > MAX_STORIES || !storyIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: `stories must be a list of at most ${MAX_STORIES} story ids`
+      });
+    }
+
+    stories = (await Story.find({ _id: { $in: storyIds } }).select('author status isHidden collaborators'))
+      .filter(story => canViewStory(story, req.user));
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+  const channels = [`user:${req.user._id}`, ...stories.map(story => `story:${story._id}`)];
+
+  // Hold live events until the snapshot and replay are out, so they arrive in order
+  let lastSentId = 0;
+  let pending = [];
+  const send = (entry) => {
+    if (entry.id <= lastSentId) return;
+    lastSentId = entry.id;
+    writeEvent(res, entry);
+  };
+  const unsubscribe = subscribe(channels, entry => (pending ? pending.push(entry) : send(entry)));
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    for (const story of stories) {
+      const counts = await getStoryCounts(story._id);
+      if (counts) writeEvent(res, { event: 'counts', data: counts });
+    }
+
+    // Replay whatever was missed since the client's last event
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (!Number.isNaN(lastEventId)) {
+      const { complete, events } = eventsSince(lastEventId, channels);
+      if (!complete) {
+        writeEvent(res, { event: 'resync', data: { message: 'Some events were missed; refetch notifications' } });
+      }
+      events.forEach(send);
+    }
+  } catch (error) {
+    writeEvent(res, { event: 'error', data: { message: error.message } });
+  }
+
+  const queued = pending;
+  pending = null;
+  queued.forEach(send);
+};
+
+// @desc    Get a single-use ticket for opening a stream, valid for a minute
+// @route   POST /api/stream/ticket
+// @access  Private
+const createStreamTicket = (req, res) => {
+  res.status(201).json({
+    success: true,
+    data: issueTicket(req.user._id)
+  });
+};
+
+module.exports = {
+  openStream,
+  createStreamTicket
+};
@@ -0,0 +1,218 @@
+const Story = require('../models/Story');
+const Chapter = require('../models/Chapter');
+const Revision = require('../models/Revision');
+const Suggestion = require('../models/Suggestion');
+const { hasStoryPermission } = require('../utils/storyAccess');
+const { countWords } = require('../utils/text');
+const { reanchorAnnotations } = require('../services/annotations');
+
+// @desc    Suggest a change to a story or one of its chapters
+// @route   POST /api/stories/:id/suggestions
+// @access  Private
+const createSuggestion = async (req, res) => {
+  try {
+    const { chapterId, title, content, note } = req.body;
+    const story = await Story.findById(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (!hasStoryPermission(story, req.user, 'suggest')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to suggest changes to this story'
+      });
+    }
+
+    if (title === undefined && content === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'A suggestion needs a new title or new content'
+      });
+    }
+
+    if (chapterId && !(await Chapter.exists({ _id: chapterId, story: story._id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+
+    const suggestion = await Suggestion.create({
+      story: story._id,
+      chapter: chapterId || null,
+      author: req.user._id,
+      title,
+      content,
+      note
+    });
+
+    res.status(201).json({
+      success: true,
+      data: suggestion
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List suggestions for a story
+// @route   GET /api/stories/:id/suggestions?status=
+// @access  Private
+const getSuggestions = async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (!hasStoryPermission(story, req.user, 'suggest')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to view suggestions for this story'
+      });
+    }
+
+    const query = { story: story._id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const suggestions = await Suggestion.find(query)
+      .populate('author', 'username')
+      .populate('reviewedBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: suggestions
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Apply an accepted suggestion to the chapter or story it targets
+const applySuggestion = async (story, suggestion) => {
+  if (suggestion.chapter) {
+    const chapter = await Chapter.findOne({ _id: suggestion.chapter, story: story._id });
+    if (!chapter) {
+      throw new Error('The chapter this suggestion targets no longer exists');
+    }
+
+    if (suggestion.title !== undefined) chapter.title = suggestion.title;
+    if (suggestion.content !== undefined) chapter.content = suggestion.content;
+    await chapter.save();
+    await Chapter.syncStoryStats(story._id);
+    if (suggestion.content !== undefined) {
+      await reanchorAnnotations(story._id, chapter._id, chapter.content);
+    }
+    return;
+  }
+
+  const updates = {};
+  if (suggestion.title !== undefined) updates.title = suggestion.title;
+  if (suggestion.content !== undefined) {
+    updates.content = suggestion.content;
+    updates.wordCount = countWords(suggestion.content) + (story.chapterWordCount || 0);
+  }
+
+  await Revision.ensureBaseline(story);
+  const updatedStory = await Story.findByIdAndUpdate(
+    story._id,
+    updates,
+    { new: true, runValidators: true }
+  );
+
+  // The revision is credited to whoever wrote the suggested text
+  await Revision.record(updatedStory, suggestion.author);
+  if (suggestion.content !== undefined) {
+    await reanchorAnnotations(story._id, null, updatedStory.content);
+  }
+};
+
+// @desc    Accept or reject a pending suggestion
+// @route   POST /api/stories/:id/suggestions/:suggestionId/accept
+// @route   POST /api/stories/:id/suggestions/:suggestionId/reject
+// @access  Private
+const reviewSuggestion = (accept) => async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (!hasStoryPermission(story, req.user, 'edit')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to review suggestions for this story'
+      });
+    }
+
+    const suggestion = await Suggestion.findOne({
+      _id: req.params.suggestionId,
+      story: story._id
+    });
+
+    if (!suggestion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Suggestion not found'
+      });
+    }
+
+    if (suggestion.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Suggestion has already been ${suggestion.status}`
+      });
+    }
+
+    if (accept) {
+      await applySuggestion(story, suggestion);
+    }
+
+    suggestion.status = accept ? 'accepted' : 'rejected';
+    suggestion.reviewedBy = req.user._id;
+    suggestion.reviewedAt = new Date();
+    await suggestion.save();
+
+    res.json({
+      success: true,
+      data: suggestion
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const acceptSuggestion = reviewSuggestion(true);
+const rejectSuggestion = reviewSuggestion(false);
+
+module.exports = {
+  createSuggestion,
+  getSuggestions,
+  acceptSuggestion,
+  rejectSuggestion
+};
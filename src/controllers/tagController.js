@@ -0,0 +1,73 @@
+const Tag = require('../models/Tag');
+const { normalizeTag } = require('../utils/tags');
+const { escapeRegex } = require('../utils/text');
+
+const MAX_LIMIT = 50;
+
+const parseLimit = (value, fallback) => {
+  return Math.min(parseInt(value) || fallback, MAX_LIMIT);
+};
+
+// @desc    Suggest tags starting with the typed prefix, most used first
+// @route   GET /api/tags/autocomplete?q=
+// @access  Public
+const autocompleteTags = async (req, res) => {
+  try {
+    const prefix = normalizeTag(req.query.q || '');
+    const limit = parseLimit(req.query.limit, 10);
+
+    if (!prefix) {
+      return res.json({
+        success: true,
+        data: []
+      });
+    }
+
+    const tags = await Tag.find({
+      name: { $regex: `^${escapeRegex(prefix)}` },
+      count: { $gt: 0 }
+    })
+      .select('name count')
+      .sort({ count: -1, name: 1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: tags
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the most used tags
+// @route   GET /api/tags/popular
+// @access  Public
+const getPopularTags = async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 20);
+
+    const tags = await Tag.find({ count: { $gt: 0 } })
+      .select('name count')
+      .sort({ count: -1, name: 1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: tags
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  autocompleteTags,
+  getPopularTags
+};
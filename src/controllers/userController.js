@@ -1,9 +1,11 @@
 const User = require('../models/User');
+const Follow = require('../models/Follow');
 const jwt = require('jsonwebtoken');
 const path = require('path');
 const crypto = require('crypto');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
 const { formatBufferTo64 } = require('../middleware/upload');
+const { RATINGS, CONTENT_WARNINGS, normalizeWarnings } = require('../utils/contentRating');
 
 // Constants for validation
 const USERNAME_MAX_LENGTH = 20;
@@ -406,6 +408,58 @@ const updateUserProfile = async (req, res) => {
   }
 };
 
+// @desc    Update content rating and warning preferences
+// @route   PUT /api/users/profile/preferences
+// @access  Private
+const updateContentPreferences = async (req, res) => {
+  try {
+    const { maxRating, hiddenWarnings } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (maxRating !== undefined) {
+      if (!RATINGS.includes(maxRating)) {
+        return res.status(400).json({
+          success: false,
+          message: `Valid ratings are: ${RATINGS.join(', ')}`
+        });
+      }
+      user.contentPreferences.maxRating = maxRating;
+    }
+
+    if (hiddenWarnings !== undefined) {
+      const warnings = normalizeWarnings(hiddenWarnings);
+      const invalid = warnings.find(warning => !CONTENT_WARNINGS.includes(warning));
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: `${invalid} is not a supported content warning`
+        });
+      }
+      user.contentPreferences.hiddenWarnings = warnings;
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      data: user.contentPreferences
+    });
+  } catch (error) {
+    console.error('Content preferences update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating content preferences'
+    });
+  }
+};
+
 // @desc    Delete user account
 // @route   DELETE /api/users/profile
 // @access  Private
@@ -428,6 +482,11 @@ const deleteUserAccount = async (req, res) => {
       await deleteFromCloudinary(profilePicPublicId);
     }
 
+    await Follow.removeUser(user._id);
+    await User.updateMany(
+      { $or: [{ blockedUsers: user._id }, { mutedUsers: user._id }, { _id: { $in: user.blockedUsers } }] },
+      { $pull: { blockedUsers: user._id, mutedUsers: user._id, blockedBy: user._id } }
+    );
     await User.deleteOne({ _id: user._id });
     res.json({
       success: true,
@@ -549,6 +608,7 @@ module.exports = {
   loginUser,
   getUserProfile,
   updateUserProfile,
+  updateContentPreferences,
   deleteUserAccount,
   uploadProfilePicture,
   forgotPassword,
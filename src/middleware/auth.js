@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { redeemTicket } = require('../services/streamTickets');
 
 const protect = async (req, res, next) => {
   try {
@@ -21,7 +22,7 @@ const protect = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
     // Get user from token
-    const user = await User.findById(decoded.id).select('-password');
+    const user = await User.findById(decoded.id).select('-password +blockedBy');
     
     if (!user) {
       return res.status(401).json({
@@ -30,6 +31,14 @@ const protect = async (req, res, next) => {
       });
     }
 
+    if (user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: `Your account is suspended until ${user.suspendedUntil.toISOString()}`,
+        data: { reason: user.suspensionReason }
+      });
+    }
+
     req.user = user;
     next();
   } catch (error) {
@@ -40,6 +49,44 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid token is sent, but let anonymous requests through
+const optionalAuth = async (req, res, next) => {
+  try {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      const token = req.headers.authorization.split(' ')[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      req.user = await User.findById(decoded.id).select('-password +blockedBy');
+    }
+  } catch (error) {
+    req.user = null;
+  }
+  next();
+};
+
+// EventSource cannot send headers, so streams authenticate with a single-use
+// ?ticket= from POST /api/stream/ticket instead of putting the JWT in the URL
+const protectStream = async (req, res, next) => {
+  try {
+    const userId = req.query.ticket ? redeemTicket(req.query.ticket) : null;
+    const user = userId ? await User.findById(userId).select('-password +blockedBy') : null;
+
+    if (!user || user.isSuspended) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, invalid or expired stream ticket'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, invalid or expired stream ticket'
+    });
+  }
+};
+
 const admin = (req, res, next) => {
   if (req.user && req.user.isAdmin) {
     return next();
@@ -51,6 +98,17 @@ const admin = (req, res, next) => {
   });
 };
 
+const moderator = (req, res, next) => {
+  if (req.user && req.user.isModerator) {
+    return next();
+  }
+
+  return res.status(401).json({
+    success: false,
+    message: 'Not authorized as moderator'
+  });
+};
+
 // Error handling middleware
 const errorHandler = (err, req, res, next) => {
   const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
@@ -89,7 +147,10 @@ const validateRequest = (schema) => {
 
 module.exports = {
   protect,
+  optionalAuth,
+  protectStream,
   admin,
+  moderator,
   errorHandler,
   apiLimiter,
   validateRequest
@@ -19,6 +19,7 @@ if (!fs.existsSync(uploadDir)) {
 
 // Allowed file extensions
 const ALLOWED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif'];
+const MANUSCRIPT_EXTENSIONS = ['.txt', '.md', '.docx'];
 
 // Configure storage to use memory storage for Cloudinary
 const storage = multer.memoryStorage();
@@ -38,13 +39,24 @@ const fileFilter = (req, file, cb) => {
   cb(null, true);
 };
 
+// Manuscript filter for story imports
+const manuscriptFileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (!MANUSCRIPT_EXTENSIONS.includes(ext)) {
+    return cb(new Error(`Allowed manuscript types are: ${MANUSCRIPT_EXTENSIONS.join(', ')}`), false);
+  }
+
+  cb(null, true);
+};
+
 // Error handling middleware
-const handleUploadError = (err, req, res, next) => {
+const createUploadErrorHandler = (maxSize) => (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File is too large. Maximum size is 5MB'
+        message: `File is too large. Maximum size is ${maxSize}`
       });
     }
     return res.status(400).json({
@@ -63,6 +75,9 @@ const handleUploadError = (err, req, res, next) => {
   next();
 };
 
+const handleUploadError = createUploadErrorHandler('5MB');
+const handleManuscriptUploadError = createUploadErrorHandler('10MB');
+
 // Create multer upload instance
 const upload = multer({
   storage: storage,
@@ -72,6 +87,16 @@ const upload = multer({
   }
 });
 
+// Separate multer instance for manuscript imports
+const uploadManuscript = multer({
+  storage: storage,
+  fileFilter: manuscriptFileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 1
+  }
+});
+
 // Cleanup old files
 const cleanup = (filePath) => {
   if (filePath && fs.existsSync(filePath)) {
@@ -85,7 +110,9 @@ const cleanup = (filePath) => {
 
 module.exports = {
   upload,
+  uploadManuscript,
   handleUploadError,
+  handleManuscriptUploadError,
   cleanup,
   formatBufferTo64
 };
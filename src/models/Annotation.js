@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const annotationSchema = new mongoose.Schema({
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  // Set when the annotation is on a chapter rather than the story's own text
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: [true, 'Annotation content is required'],
+    trim: true,
+    maxlength: [2000, 'Annotation cannot be more than 2000 characters']
+  },
+  // Anchor, see utils/anchoring
+  paragraph: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  start: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  end: {
+    type: Number,
+    required: true
+  },
+  quote: {
+    type: String,
+    required: true
+  },
+  prefix: {
+    type: String,
+    default: ''
+  },
+  suffix: {
+    type: String,
+    default: ''
+  },
+  // The quoted text was edited away; the annotation is kept but no longer placed
+  isOrphaned: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for loading the annotations on a story or chapter
+annotationSchema.index({ story: 1, chapter: 1, paragraph: 1, start: 1 });
+
+const Annotation = mongoose.model('Annotation', annotationSchema);
+
+module.exports = Annotation;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    default: null
+  },
+  // Character offset into the story or chapter text
+  offset: {
+    type: Number,
+    min: [0, 'Offset cannot be negative'],
+    default: 0
+  },
+  name: {
+    type: String,
+    required: [true, 'Bookmark name is required'],
+    trim: true,
+    maxlength: [100, 'Bookmark name cannot be more than 100 characters']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+bookmarkSchema.index({ user: 1, story: 1, createdAt: 1 });
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+
+module.exports = Bookmark;
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { countWords } = require('../utils/text');
+
+const chapterSchema = new mongoose.Schema({
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Chapter title is required'],
+    trim: true,
+    maxlength: [100, 'Chapter title cannot be more than 100 characters']
+  },
+  content: {
+    type: String,
+    required: [true, 'Chapter content is required']
+  },
+  order: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Chapters are always listed in reading order
+chapterSchema.index({ story: 1, order: 1 });
+
+// Pre-save middleware to calculate word count and publish date
+chapterSchema.pre('save', function(next) {
+  if (this.isModified('content')) {
+    this.wordCount = countWords(this.content);
+  }
+  if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  next();
+});
+
+// Static method to get a story's table of contents
+chapterSchema.statics.getTableOfContents = function(storyId, includeDrafts = false) {
+  const query = { story: storyId };
+  if (!includeDrafts) {
+    query.status = 'published';
+  }
+
+  return this.find(query)
+    .select('title order wordCount status publishedAt createdAt updatedAt')
+    .sort({ order: 1 });
+};
+
+// Static method to roll chapter totals up into the parent story
+chapterSchema.statics.syncStoryStats = async function(storyId) {
+  const Story = mongoose.model('Story');
+
+  const [stats] = await this.aggregate([
+    { $match: { story: new mongoose.Types.ObjectId(storyId) } },
+    { $group: { _id: null, count: { $sum: 1 }, words: { $sum: '$wordCount' } } }
+  ]);
+
+  const story = await Story.findById(storyId).select('content');
+  if (!story) return;
+
+  const chapterCount = stats ? stats.count : 0;
+  const chapterWordCount = stats ? stats.words : 0;
+
+  await Story.updateOne(
+    { _id: storyId },
+    {
+      chapterCount,
+      chapterWordCount,
+      wordCount: countWords(story.content) + chapterWordCount
+    }
+  );
+};
+
+const Chapter = mongoose.model('Chapter', chapterSchema);
+
+module.exports = Chapter;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The comment this one replies to; null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  content: {
+    type: String,
+    required: [function() { return !this.isDeleted; }, 'Comment content is required'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot be more than 5000 characters']
+  },
+  // Users mentioned in the content, with the range of each @mention
+  mentions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    start: {
+      type: Number,
+      required: true
+    },
+    end: {
+      type: Number,
+      required: true
+    }
+  }],
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Set by moderators; hidden comments are only listed for moderators
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  // Deleted comments that still have replies keep their place in the thread
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+commentSchema.virtual('isEdited').get(function() {
+  return Boolean(this.editedAt);
+});
+
+// Index for listing a story's top-level comments and a comment's replies
+commentSchema.index({ story: 1, parent: 1, createdAt: -1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One follow per pair, and the index for listing who a user follows
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+
+// Index for listing a user's followers
+followSchema.index({ following: 1, createdAt: -1 });
+
+// Remove any follow between two users, in either direction
+followSchema.statics.removePair = async function(userA, userB) {
+  const User = mongoose.model('User');
+
+  const follows = await this.find({
+    $or: [
+      { follower: userA, following: userB },
+      { follower: userB, following: userA }
+    ]
+  });
+
+  for (const follow of follows) {
+    await this.deleteOne({ _id: follow._id });
+    await User.updateOne({ _id: follow.following }, { $inc: { followerCount: -1 } });
+    await User.updateOne({ _id: follow.follower }, { $inc: { followingCount: -1 } });
+  }
+};
+
+// Remove every follow to or from a user and fix the counts on the other side
+followSchema.statics.removeUser = async function(userId) {
+  const User = mongoose.model('User');
+
+  const following = await this.find({ follower: userId }).distinct('following');
+  const followers = await this.find({ following: userId }).distinct('follower');
+
+  await User.updateMany({ _id: { $in: following } }, { $inc: { followerCount: -1 } });
+  await User.updateMany({ _id: { $in: followers } }, { $inc: { followingCount: -1 } });
+  await this.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+};
+
+const Follow = mongoose.model('Follow', followSchema);
+
+module.exports = Follow;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['like', 'comment', 'reply', 'follow', 'mention', 'warning'];
+
+// Notifications that come from the site rather than another user
+const SYSTEM_TYPES = ['warning'];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The user whose action caused the notification, the latest one when aggregated
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return !SYSTEM_TYPES.includes(this.type); }, 'Notification actor is required'],
+    default: null
+  },
+  // The last few users whose actions are folded into this notification, newest last
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // How many users' actions are folded into this notification
+  actorCount: {
+    type: Number,
+    default: 1
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  read: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// How many people besides the latest actor, for "X and 12 others liked..."
+notificationSchema.virtual('othersCount').get(function() {
+  return Math.max((this.actorCount || 1) - 1, 0);
+});
+
+// Index for listing a user's notifications
+notificationSchema.index({ recipient: 1, read: 1, updatedAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const readingProgressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    default: null
+  },
+  // Character offset into the story or chapter text
+  offset: {
+    type: Number,
+    min: [0, 'Offset cannot be negative'],
+    default: 0
+  },
+  percent: {
+    type: Number,
+    min: [0, 'Percent must be between 0 and 100'],
+    max: [100, 'Percent must be between 0 and 100'],
+    default: 0
+  },
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One progress entry per reader and story
+readingProgressSchema.index({ user: 1, story: 1 }, { unique: true });
+readingProgressSchema.index({ user: 1, lastReadAt: -1 });
+
+const ReadingProgress = mongoose.model('ReadingProgress', readingProgressSchema);
+
+module.exports = ReadingProgress;
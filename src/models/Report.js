@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'sexual-content', 'violence', 'plagiarism', 'other'];
+
+// Model each kind of report target refers to
+const TARGET_MODELS = {
+  story: 'Story',
+  comment: 'Comment',
+  user: 'User'
+};
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: {
+      values: Object.keys(TARGET_MODELS),
+      message: '{VALUE} is not something that can be reported'
+    },
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel',
+    required: true
+  },
+  targetModel: {
+    type: String,
+    enum: Object.values(TARGET_MODELS)
+  },
+  // The user responsible for the target: the author of a story or comment, or the reported user
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The story a reported comment belongs to
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: REPORT_REASONS,
+      message: '{VALUE} is not a supported report reason'
+    },
+    required: [true, 'A reason is required']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot be more than 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  // Everything done with the report, oldest first
+  history: [{
+    _id: false,
+    action: {
+      type: String,
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    note: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reportSchema.pre('validate', function(next) {
+  this.targetModel = TARGET_MODELS[this.targetType];
+  next();
+});
+
+// One open report per reporter and target
+reportSchema.index(
+  { reporter: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// Indexes for the moderation queue and for finding other reports on the same target
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ target: 1, status: 1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
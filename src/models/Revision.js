@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { countWords } = require('../utils/text');
+
+const revisionSchema = new mongoose.Schema({
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  wordDelta: {
+    type: Number,
+    default: 0
+  },
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Revision',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+revisionSchema.index({ story: 1, version: -1 }, { unique: true });
+
+// Concurrent saves can pick the same next version; the loser retries with the one after
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Static method to snapshot a story's current title and content as a new revision
+revisionSchema.statics.record = async function(story, authorId, restoredFrom = null) {
+  const wordCount = countWords(story.content);
+
+  for (let attempt = 1; ; attempt++) {
+    const previous = await this.findOne({ story: story._id })
+      .sort({ version: -1 })
+      .select('version wordCount');
+
+    try {
+      return await this.create({
+        story: story._id,
+        author: authorId,
+        version: previous ? previous.version + 1 : 1,
+        title: story.title,
+        content: story.content,
+        wordCount,
+        wordDelta: wordCount - (previous ? previous.wordCount : 0),
+        restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Static method to snapshot stories written before revisions were tracked
+revisionSchema.statics.ensureBaseline = async function(story) {
+  const exists = await this.exists({ story: story._id });
+  if (!exists) {
+    await this.record(story, story.author);
+  }
+};
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+module.exports = Revision;
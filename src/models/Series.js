@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { canViewStory, isHiddenByPreferences } = require('../utils/storyAccess');
+
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters'],
+    default: ''
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Stories in reading order
+  stories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story'
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+seriesSchema.index({ author: 1, createdAt: -1 });
+
+// Virtual for series URL
+seriesSchema.virtual('url').get(function() {
+  return `/series/${this._id}`;
+});
+
+// Static method to get a story's place in its series, skipping entries the viewer cannot see
+seriesSchema.statics.getNavigation = async function(seriesId, storyId, viewer) {
+  const series = await this.findById(seriesId)
+    .select('title author stories')
+    .populate('stories', 'title status isHidden author rating contentWarnings');
+
+  if (!series) return null;
+
+  const visible = series.stories.filter(story => (
+    story && canViewStory(story, viewer) && !isHiddenByPreferences(story, viewer)
+  ));
+  const index = visible.findIndex(story => story._id.toString() === storyId.toString());
+  const link = (story) => (story ? { _id: story._id, title: story.title } : null);
+
+  return {
+    _id: series._id,
+    title: series.title,
+    position: index + 1,
+    total: visible.length,
+    previous: index > 0 ? link(visible[index - 1]) : null,
+    next: index !== -1 ? link(visible[index + 1]) : null
+  };
+};
+
+const Series = mongoose.model('Series', seriesSchema);
+
+module.exports = Series;
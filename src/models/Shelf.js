@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const shelfSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Shelf name is required'],
+    trim: true,
+    maxlength: [50, 'Shelf name cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+    default: ''
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  // Stories in the order the owner arranged them
+  stories: [{
+    _id: false,
+    story: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Story',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Shelf names are unique per user
+shelfSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// Index for removing deleted stories from every shelf
+shelfSchema.index({ 'stories.story': 1 });
+
+const Shelf = mongoose.model('Shelf', shelfSchema);
+
+module.exports = Shelf;
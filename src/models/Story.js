@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { countWords } = require('../utils/text');
+const { MAX_TAGS } = require('../utils/tags');
+const { RATINGS, CONTENT_WARNINGS } = require('../utils/contentRating');
+const { COLLABORATOR_ROLES } = require('../utils/storyAccess');
 
 const storySchema = new mongoose.Schema({
   title: {
@@ -9,7 +13,8 @@ const storySchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: [true, 'Content is required'],
+    // Serialized stories may keep all of their text in chapters
+    required: [function() { return !this.chapterCount; }, 'Content is required'],
     minlength: [100, 'Story must be at least 100 characters long']
   },
   genre: {
@@ -46,40 +51,157 @@ const storySchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  isAIGenerated: {
-    type: Boolean,
-    default: false
+  tags: {
+    type: [String],
+    validate: {
+      validator: tags => tags.length <= MAX_TAGS,
+      message: `A story can have at most ${MAX_TAGS} tags`
+    }
   },
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+  rating: {
+    type: String,
+    enum: {
+      values: RATINGS,
+      message: '{VALUE} is not a supported rating'
+    },
+    default: 'general'
+  },
+  contentWarnings: [{
+    type: String,
+    enum: {
+      values: CONTENT_WARNINGS,
+      message: '{VALUE} is not a supported content warning'
+    }
   }],
-  comments: [{
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Series',
+    default: null
+  },
+  collaborators: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true
     },
-    content: {
+    role: {
+      type: String,
+      enum: {
+        values: COLLABORATOR_ROLES,
+        message: '{VALUE} is not a supported collaborator role'
+      },
+      required: true
+    },
+    status: {
       type: String,
-      required: true,
-      trim: true
+      enum: ['pending', 'accepted'],
+      default: 'pending'
     },
-    createdAt: {
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
       type: Date,
       default: Date.now
+    },
+    respondedAt: {
+      type: Date,
+      default: null
     }
   }],
+  forkedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  },
+  allowForks: {
+    type: Boolean,
+    default: true
+  },
+  forkCount: {
+    type: Number,
+    default: 0
+  },
+  // Set by moderators; hidden stories are left out of listings and only
+  // visible to the people writing them and to moderators
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  // Who sees readers' annotations besides the people who wrote them
+  annotationVisibility: {
+    type: String,
+    enum: {
+      values: ['author', 'public'],
+      message: '{VALUE} is not a supported annotation visibility'
+    },
+    default: 'author'
+  },
+  isAIGenerated: {
+    type: Boolean,
+    default: false
+  },
+  likes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Comments live in their own collection, see models/Comment
+  commentCount: {
+    type: Number,
+    default: 0
+  },
+  // Deduplicated views, see services/analytics
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  // Weighted total of all likes, comments and views
+  popularity: {
+    type: Number,
+    default: 0
+  },
+  // Time-decayed scores kept up to date by services/trending
+  trending: {
+    day: {
+      type: Number,
+      default: null
+    },
+    week: {
+      type: Number,
+      default: null
+    },
+    lastActivityAt: {
+      type: Date,
+      default: null
+    }
+  },
   wordCount: {
     type: Number,
     required: true,
     min: [1, 'Story must contain at least one word']
   },
+  chapterCount: {
+    type: Number,
+    default: 0
+  },
+  chapterWordCount: {
+    type: Number,
+    default: 0
+  },
   status: {
     type: String,
     enum: ['draft', 'published'],
     default: 'published'
   },
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
   image: {
     type: String,
     default: null
@@ -98,19 +220,44 @@ storySchema.virtual('url').get(function() {
 // Index for text search
 storySchema.index({ title: 'text', content: 'text' });
 
+// Index for tag filtering
+storySchema.index({ tags: 1 });
+
+// Index for finding a user's collaborations and invitations
+storySchema.index({ 'collaborators.user': 1 });
+
+// Index for listing a story's forks
+storySchema.index({ forkedFrom: 1, createdAt: -1 });
+
+// Indexes for the following feed: newest first per author, for merging a few
+// authors' ranges, and newest first overall, for walking past many authors
+storySchema.index({ author: 1, status: 1, publishedAt: -1, _id: -1 });
+storySchema.index({ status: 1, publishedAt: -1, _id: -1 });
+
+// Index for the scheduled publishing job
+storySchema.index({ status: 1, publishAt: 1 });
+
+// Indexes for trending and popular listings
+storySchema.index({ status: 1, 'trending.day': -1 });
+storySchema.index({ status: 1, 'trending.week': -1 });
+storySchema.index({ status: 1, popularity: -1 });
+
 // Pre-save middleware to calculate word count
 storySchema.pre('save', function(next) {
   if (this.isModified('content')) {
-    this.wordCount = this.content.trim().split(/\s+/).length;
+    this.wordCount = countWords(this.content) + (this.chapterWordCount || 0);
+  }
+  if ((this.isNew || this.isModified('status')) && this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
   }
   next();
 });
 
 // Static method to get popular stories
-storySchema.statics.getPopular = function() {
-  return this.find()
-    .sort({ 'likes.length': -1 })
-    .limit(10)
+storySchema.statics.getPopular = function(limit = 10) {
+  return this.find({ status: 'published' })
+    .sort({ popularity: -1, createdAt: -1 })
+    .limit(limit)
     .populate('author', 'username');
 };
 
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Log of reader activity on a story, used for analytics over time
+const storyActivitySchema = new mongoose.Schema({
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['like', 'unlike', 'comment'],
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for analytics over a date range
+storyActivitySchema.index({ story: 1, createdAt: 1 });
+
+// Index for finding a user's last like when they unlike
+storyActivitySchema.index({ story: 1, user: 1, createdAt: -1 });
+
+const StoryActivity = mongoose.model('StoryActivity', storyActivitySchema);
+
+module.exports = StoryActivity;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const VIEW_RETENTION_DAYS = 365;
+
+// One document per viewer, story and dedup window
+const storyViewSchema = new mongoose.Schema({
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  // "user:<id>" for logged in readers, a hashed fingerprint for anonymous ones
+  viewerKey: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Start of the dedup window the view falls in
+  bucket: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A viewer counts once per story and window
+storyViewSchema.index({ story: 1, viewerKey: 1, bucket: 1 }, { unique: true });
+
+// Index for analytics over a date range
+storyViewSchema.index({ story: 1, createdAt: 1 });
+
+// Old views are only kept as long as analytics reports on them
+storyViewSchema.index({ createdAt: 1 }, { expireAfterSeconds: VIEW_RETENTION_DAYS * 24 * 60 * 60 });
+
+const StoryView = mongoose.model('StoryView', storyViewSchema);
+
+module.exports = StoryView;
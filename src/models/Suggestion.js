@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const suggestionSchema = new mongoose.Schema({
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  // Suggestions target the story text unless a chapter is given
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  content: {
+    type: String
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot be more than 1000 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+suggestionSchema.index({ story: 1, status: 1, createdAt: -1 });
+
+const Suggestion = mongoose.model('Suggestion', suggestionSchema);
+
+module.exports = Suggestion;
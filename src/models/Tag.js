@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { diffTags } = require('../utils/tags');
+
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for ranking tags by usage
+tagSchema.index({ count: -1 });
+
+// Static method to keep usage counts in step with story edits
+tagSchema.statics.adjustCounts = async function(added = [], removed = []) {
+  const operations = [
+    ...added.map(name => ({
+      updateOne: {
+        filter: { name },
+        update: { $inc: { count: 1 } },
+        upsert: true
+      }
+    })),
+    ...removed.map(name => ({
+      updateOne: {
+        filter: { name },
+        update: { $inc: { count: -1 } }
+      }
+    }))
+  ];
+
+  if (operations.length === 0) return;
+
+  await this.bulkWrite(operations);
+
+  // Tags no story uses any more drop out of autocomplete
+  if (removed.length > 0) {
+    await this.deleteMany({ name: { $in: removed }, count: { $lte: 0 } });
+  }
+};
+
+// Only published stories that moderators have not hidden count towards tag usage
+const countedTags = (story) => (story && story.status === 'published' && !story.isHidden ? story.tags : []);
+
+// Static method to update usage counts when a story changes state: created, edited,
+// published, unpublished, hidden or deleted. Pass null for a story that doesn't exist.
+tagSchema.statics.syncStory = async function(before, after) {
+  const { added, removed } = diffTags(countedTags(before), countedTags(after));
+  await this.adjustCounts(added, removed);
+};
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
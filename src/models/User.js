@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { RATINGS, CONTENT_WARNINGS } = require('../utils/contentRating');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -30,6 +31,87 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: '/default-avatar.png' // Changed to use local default avatar
   },
+  contentPreferences: {
+    maxRating: {
+      type: String,
+      enum: {
+        values: RATINGS,
+        message: '{VALUE} is not a supported rating'
+      },
+      default: 'teen'
+    },
+    hiddenWarnings: [{
+      type: String,
+      enum: {
+        values: CONTENT_WARNINGS,
+        message: '{VALUE} is not a supported content warning'
+      }
+    }]
+  },
+  // Blocked users cannot see, like or comment on this user's stories or mention them
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users who have blocked this user, kept in step with their blockedUsers so
+  // story access checks need no extra query. Never sent to the user.
+  blockedBy: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  // Muted users' stories and comments are left out of this user's listings
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  role: {
+    type: String,
+    enum: {
+      values: ['user', 'moderator', 'admin'],
+      message: '{VALUE} is not a supported role'
+    },
+    default: 'user'
+  },
+  // Moderator warnings, newest last
+  warnings: [{
+    reason: {
+      type: String,
+      required: true
+    },
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Suspended users cannot use any endpoint that needs a login until this passes
+  suspendedUntil: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: null
+  },
+  // Kept in step with the Follow collection
+  followerCount: {
+    type: Number,
+    default: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -40,6 +122,21 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.virtual('isAdmin').get(function() {
+  return this.role === 'admin';
+});
+
+userSchema.virtual('isModerator').get(function() {
+  return this.role === 'moderator' || this.role === 'admin';
+});
+
+userSchema.virtual('isSuspended').get(function() {
+  return Boolean(this.suspendedUntil) && this.suspendedUntil > new Date();
+});
+
+// Index for finding who has blocked a user
+userSchema.index({ blockedUsers: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { protect, moderator, admin } = require('../middleware/auth');
+const {
+  getReports,
+  getReport,
+  takeAction,
+  updateUserRole
+} = require('../controllers/moderationController');
+
+// Moderator routes
+router.get('/reports', protect, moderator, getReports);
+router.get('/reports/:id', protect, moderator, getReport);
+router.post('/reports/:id/actions', protect, moderator, takeAction);
+
+// Admin routes
+router.put('/users/:id/role', protect, admin, updateUserRole);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification
+} = require('../controllers/notificationController');
+
+// Protected routes
+router.get('/', protect, getNotifications);
+router.get('/unread-count', protect, getUnreadCount);
+router.put('/read-all', protect, markAllAsRead); // Before :id routes to avoid conflict
+router.put('/:id/read', protect, markAsRead);
+router.delete('/:id', protect, deleteNotification);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { protect, optionalAuth } = require('../middleware/auth');
+const {
+  createSeries,
+  getSeriesList,
+  getSeriesById,
+  updateSeries,
+  deleteSeries,
+  addStoryToSeries,
+  removeStoryFromSeries,
+  reorderSeriesStories
+} = require('../controllers/seriesController');
+
+// Public routes
+router.get('/', getSeriesList);
+router.get('/:id', optionalAuth, getSeriesById);
+
+// Protected routes
+router.post('/', protect, createSeries);
+router.route('/:id')
+  .put(protect, updateSeries)
+  .delete(protect, deleteSeries);
+
+// Series membership
+router.post('/:id/stories', protect, addStoryToSeries);
+router.put('/:id/stories/order', protect, reorderSeriesStories);
+router.delete('/:id/stories/:storyId', protect, removeStoryFromSeries);
+
+module.exports = router;
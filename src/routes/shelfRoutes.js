@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { protect, optionalAuth } = require('../middleware/auth');
+const {
+  getMyShelves,
+  getUserShelves,
+  getShelfById,
+  createShelf,
+  updateShelf,
+  deleteShelf,
+  addStoryToShelf,
+  removeStoryFromShelf,
+  reorderShelfStories
+} = require('../controllers/shelfController');
+
+// Public routes
+router.get('/user/:userId', optionalAuth, getUserShelves); // Before :id route to avoid conflict
+router.get('/:id', optionalAuth, getShelfById);
+
+// Protected routes
+router.route('/')
+  .get(protect, getMyShelves)
+  .post(protect, createShelf);
+router.route('/:id')
+  .put(protect, updateShelf)
+  .delete(protect, deleteShelf);
+
+// Shelf contents
+router.post('/:id/stories', protect, addStoryToShelf);
+router.put('/:id/stories/order', protect, reorderShelfStories);
+router.delete('/:id/stories/:storyId', protect, removeStoryFromShelf);
+
+module.exports = router;
@@ -1,33 +1,183 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
-const { upload } = require('../middleware/upload');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { upload, uploadManuscript, handleManuscriptUploadError } = require('../middleware/upload');
 const {
   createStory,
   getStories,
+  getTrendingStories,
   getStoryById,
   updateStory,
   deleteStory,
+  publishStory,
+  unpublishStory,
   toggleLikeStory,
-  addComment,
   getUserStories,
   generateAIStory
 } = require('../controllers/storyController');
+const {
+  getChapters,
+  getChapter,
+  createChapter,
+  updateChapter,
+  deleteChapter,
+  reorderChapters
+} = require('../controllers/chapterController');
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} = require('../controllers/revisionController');
+const { exportStory } = require('../controllers/exportController');
+const { importStory } = require('../controllers/importController');
+const {
+  getCollaborators,
+  inviteCollaborator,
+  updateCollaboratorRole,
+  removeCollaborator,
+  acceptInvitation,
+  declineInvitation,
+  getMyInvitations
+} = require('../controllers/collaboratorController');
+const {
+  createSuggestion,
+  getSuggestions,
+  acceptSuggestion,
+  rejectSuggestion
+} = require('../controllers/suggestionController');
+const { searchStories } = require('../controllers/searchController');
+const {
+  getAnnotations,
+  createAnnotation,
+  updateAnnotation,
+  deleteAnnotation
+} = require('../controllers/annotationController');
+const {
+  getComments,
+  getReplies,
+  addComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const { getStoryAnalytics, getMyAnalytics } = require('../controllers/analyticsController');
+const {
+  getStoryRecommendations,
+  getMyRecommendations
+} = require('../controllers/recommendationController');
+const { forkStory, getStoryLineage } = require('../controllers/forkController');
+const {
+  saveProgress,
+  getProgress,
+  getBookmarks,
+  createBookmark,
+  updateBookmark,
+  deleteBookmark
+} = require('../controllers/readingController');
 
 // Public routes
-router.get('/', getStories);
+router.get('/', optionalAuth, getStories);
+router.get('/search', optionalAuth, searchStories);
+router.get('/trending', optionalAuth, getTrendingStories);
 router.get('/user/:userId', protect, getUserStories); // Add this before :id route to avoid conflict
-router.get('/:id', getStoryById);
+router.get('/invitations', protect, getMyInvitations);
+router.get('/recommended', protect, getMyRecommendations);
+router.get('/analytics', protect, getMyAnalytics);
+router.get('/:id', optionalAuth, getStoryById);
 
 // Protected routes
 router.post('/', protect, upload.single('image'), createStory);
 router.post('/generate', protect, generateAIStory); // AI story generation endpoint
+router.post(
+  '/import',
+  protect,
+  uploadManuscript.single('file'),
+  handleManuscriptUploadError,
+  importStory
+);
 router.route('/:id')
   .put(protect, updateStory)
   .delete(protect, deleteStory);
 
+// Publishing workflow
+router.post('/:id/publish', protect, publishStory);
+router.post('/:id/unpublish', protect, unpublishStory);
+
 // Story interactions
 router.post('/:id/like', protect, toggleLikeStory);
-router.post('/:id/comments', protect, addComment);
+
+// Comments
+router.route('/:id/comments')
+  .get(optionalAuth, getComments)
+  .post(protect, addComment);
+router.get('/:id/comments/:commentId/replies', optionalAuth, getReplies);
+router.route('/:id/comments/:commentId')
+  .put(protect, updateComment)
+  .delete(protect, deleteComment);
+
+// Inline annotations
+router.route('/:id/annotations')
+  .get(optionalAuth, getAnnotations)
+  .post(protect, createAnnotation);
+router.route('/:id/annotations/:annotationId')
+  .put(protect, updateAnnotation)
+  .delete(protect, deleteAnnotation);
+
+// Chapters
+router.route('/:id/chapters')
+  .get(optionalAuth, getChapters)
+  .post(protect, createChapter);
+router.put('/:id/chapters/order', protect, reorderChapters); // Before :chapterId to avoid conflict
+router.route('/:id/chapters/:chapterId')
+  .get(optionalAuth, getChapter)
+  .put(protect, updateChapter)
+  .delete(protect, deleteChapter);
+
+// Revision history
+router.get('/:id/revisions', protect, getRevisions);
+router.get('/:id/revisions/diff', protect, diffRevisions); // Before :revisionId to avoid conflict
+router.get('/:id/revisions/:revisionId', protect, getRevision);
+router.post('/:id/revisions/:revisionId/restore', protect, restoreRevision);
+
+// Collaborators
+router.route('/:id/collaborators')
+  .get(protect, getCollaborators)
+  .post(protect, inviteCollaborator);
+router.post('/:id/collaborators/accept', protect, acceptInvitation);
+router.post('/:id/collaborators/decline', protect, declineInvitation);
+router.route('/:id/collaborators/:userId')
+  .put(protect, updateCollaboratorRole)
+  .delete(protect, removeCollaborator);
+
+// Suggested edits
+router.route('/:id/suggestions')
+  .get(protect, getSuggestions)
+  .post(protect, createSuggestion);
+router.post('/:id/suggestions/:suggestionId/accept', protect, acceptSuggestion);
+router.post('/:id/suggestions/:suggestionId/reject', protect, rejectSuggestion);
+
+// Forks and remixes
+router.post('/:id/fork', protect, forkStory);
+router.get('/:id/lineage', optionalAuth, getStoryLineage);
+
+// Recommendations
+router.get('/:id/recommendations', optionalAuth, getStoryRecommendations);
+
+// Author analytics
+router.get('/:id/analytics', protect, getStoryAnalytics);
+
+// Reading progress and bookmarks
+router.route('/:id/progress')
+  .get(protect, getProgress)
+  .put(protect, saveProgress);
+router.route('/:id/bookmarks')
+  .get(protect, getBookmarks)
+  .post(protect, createBookmark);
+router.route('/:id/bookmarks/:bookmarkId')
+  .put(protect, updateBookmark)
+  .delete(protect, deleteBookmark);
+
+// Offline export
+router.get('/:id/export', optionalAuth, exportStory);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { protect, protectStream } = require('../middleware/auth');
+const { openStream, createStreamTicket } = require('../controllers/streamController');
+
+// Server-Sent Events; EventSource cannot set headers, so a ticket is sent as ?ticket=.
+// Tickets work once: to reconnect, get a new one and pass ?lastEventId= to catch up.
+router.post('/ticket', protect, createStreamTicket);
+router.get('/', protectStream, openStream);
+
+module.exports = router;
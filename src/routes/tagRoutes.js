@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const {
+  autocompleteTags,
+  getPopularTags
+} = require('../controllers/tagController');
+
+// Public routes
+router.get('/autocomplete', autocompleteTags);
+router.get('/popular', getPopularTags);
+
+module.exports = router;
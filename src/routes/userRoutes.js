@@ -7,11 +7,28 @@ const {
   loginUser,
   getUserProfile,
   updateUserProfile,
+  updateContentPreferences,
   deleteUserAccount,
   uploadProfilePicture,
   forgotPassword,
   resetPassword
 } = require('../controllers/userController');
+const { getContinueReading } = require('../controllers/readingController');
+const {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  getFeed
+} = require('../controllers/followController');
+const {
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  muteUser,
+  unmuteUser,
+  getMutedUsers
+} = require('../controllers/blockController');
 
 // Public routes
 router.post('/register', registerUser);
@@ -25,6 +42,12 @@ router.route('/profile')
   .put(protect, updateUserProfile)
   .delete(protect, deleteUserAccount);
 
+router.put('/profile/preferences', protect, updateContentPreferences);
+router.get('/profile/continue-reading', protect, getContinueReading);
+router.get('/profile/feed', protect, getFeed);
+router.get('/profile/blocked', protect, getBlockedUsers);
+router.get('/profile/muted', protect, getMutedUsers);
+
 // Profile picture upload with error handling
 router.post(
   '/profile/picture',
@@ -34,4 +57,19 @@ router.post(
   uploadProfilePicture
 );
 
+// Following
+router.route('/:id/follow')
+  .post(protect, followUser)
+  .delete(protect, unfollowUser);
+router.get('/:id/followers', getFollowers);
+router.get('/:id/following', getFollowing);
+
+// Blocking and muting
+router.route('/:id/block')
+  .post(protect, blockUser)
+  .delete(protect, unblockUser);
+router.route('/:id/mute')
+  .post(protect, muteUser)
+  .delete(protect, unmuteUser);
+
 module.exports = router;
@@ -0,0 +1,27 @@
+// Give published stories saved without a publishedAt their creation date,
+// so they sort and page by publication like newer stories. Safe to run more than once.
+//
+// Usage: npm run backfill:published-at
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Story = require('../models/Story');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const { modifiedCount } = await Story.updateMany(
+    { status: 'published', publishedAt: null },
+    [{ $set: { publishedAt: '$createdAt' } }]
+  );
+
+  console.log(`Backfilled publishedAt on ${modifiedCount} stories`);
+};
+
+run()
+  .catch(error => {
+    console.error('publishedAt backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,69 @@
+// Move comments embedded in story documents into the comments collection.
+// Safe to run more than once: comments keep their original ids, and a story's
+// embedded array is only removed once all of its comments have been copied.
+//
+// Usage: npm run migrate:comments
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Story = require('../models/Story');
+const Comment = require('../models/Comment');
+
+dotenv.config();
+
+const migrateStory = async (story) => {
+  const comments = story.comments
+    .filter(comment => comment.user && comment.content)
+    .map(comment => ({
+      _id: comment._id,
+      story: story._id,
+      author: comment.user,
+      content: comment.content,
+      createdAt: comment.createdAt || story.createdAt,
+      updatedAt: comment.createdAt || story.createdAt
+    }));
+
+  if (comments.length > 0) {
+    try {
+      // Raw insert so the original timestamps are kept
+      await Comment.collection.insertMany(comments, { ordered: false });
+    } catch (error) {
+      // Comments copied by an earlier, interrupted run already exist
+      const duplicatesOnly = error.writeErrors && error.writeErrors.every(writeError => writeError.code === 11000);
+      if (!duplicatesOnly) throw error;
+    }
+  }
+
+  const commentCount = await Comment.countDocuments({ story: story._id, isDeleted: { $ne: true } });
+  await Story.collection.updateOne(
+    { _id: story._id },
+    { $set: { commentCount }, $unset: { comments: '' } }
+  );
+
+  return comments.length;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Read the raw documents; the Story schema no longer knows about embedded comments
+  const cursor = Story.collection.find(
+    { comments: { $exists: true } },
+    { projection: { comments: 1, createdAt: 1 } }
+  );
+
+  let stories = 0;
+  let comments = 0;
+  for await (const story of cursor) {
+    comments += await migrateStory(story);
+    stories += 1;
+  }
+
+  console.log(`Migrated ${comments} comments from ${stories} stories`);
+};
+
+run()
+  .catch(error => {
+    console.error('Comment migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,41 @@
+// Recount tag usage from scratch so only published, visible stories count.
+// Tags no such story uses are removed. Safe to run more than once.
+//
+// Usage: npm run recount:tags
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Story = require('../models/Story');
+const Tag = require('../models/Tag');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const counts = await Story.aggregate([
+    { $match: { status: 'published', isHidden: { $ne: true } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+
+  if (counts.length > 0) {
+    await Tag.bulkWrite(counts.map(({ _id, count }) => ({
+      updateOne: {
+        filter: { name: _id },
+        update: { $set: { count } },
+        upsert: true
+      }
+    })));
+  }
+
+  const { deletedCount } = await Tag.deleteMany({ name: { $nin: counts.map(({ _id }) => _id) } });
+
+  console.log(`Recounted ${counts.length} tags and removed ${deletedCount} unused ones`);
+};
+
+run()
+  .catch(error => {
+    console.error('Tag recount failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
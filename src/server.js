@@ -8,6 +8,14 @@ const corsOptions = require('./config/cors');
 const { errorHandler, apiLimiter } = require('./middleware/auth.js');
 const userRoutes = require('./routes/userRoutes');
 const storyRoutes = require('./routes/storyRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const seriesRoutes = require('./routes/seriesRoutes');
+const shelfRoutes = require('./routes/shelfRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const streamRoutes = require('./routes/streamRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
+const { startPublishScheduler } = require('./services/publishScheduler');
 
 // Load env vars
 dotenv.config();
@@ -34,6 +42,7 @@ const connectWithRetry = async (retries = 5, interval = 5000) => {
       dbConnected = await connectDB();
       if (dbConnected) {
         console.log('Database connected successfully');
+        startPublishScheduler();
         break;
       }
     } catch (error) {
@@ -91,9 +100,10 @@ app.use('/public', express.static(publicDir, {
   }
 }));
 
-// Request logging middleware
+// Request logging middleware; credentials in the query string are masked
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
+  const url = req.url.replace(/([?&](?:token|ticket)=)[^&]*/gi, '$1[redacted]');
+  console.log(`${new Date().toISOString()} ${req.method} ${url}`);
   next();
 });
 
@@ -103,6 +113,13 @@ app.use('/api', apiLimiter);
 // Routes
 app.use('/api/users', userRoutes);
 app.use('/api/stories', storyRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/shelves', shelfRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/moderation', moderationRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const Story = require('../models/Story');
+const StoryView = require('../models/StoryView');
+const StoryActivity = require('../models/StoryActivity');
+const ReadingProgress = require('../models/ReadingProgress');
+const { recordActivity } = require('./trending');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Repeat views from the same reader inside this window count once
+const VIEW_WINDOW = 6 * 60 * 60 * 1000;
+
+const ANALYTICS_INTERVALS = {
+  day: { length: DAY, defaultBuckets: 30 },
+  week: { length: 7 * DAY, defaultBuckets: 12 }
+};
+
+const MAX_RANGE = 366 * DAY;
+
+// Anonymous readers are told apart by a hash of their address and browser, never the raw values
+const getViewerKey = (req) => {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+
+  const fingerprint = `${req.ip}|${req.get('user-agent') || ''}`;
+  return `anon:${crypto.createHash('sha256').update(fingerprint).digest('hex')}`;
+};
+
+// Record a view unless this reader already viewed the story in the current window.
+// Returns whether the view was counted.
+const trackView = async (story, req, now = new Date()) => {
+  const bucket = new Date(Math.floor(now.getTime() / VIEW_WINDOW) * VIEW_WINDOW);
+
+  try {
+    const result = await StoryView.updateOne(
+      { story: story._id, viewerKey: getViewerKey(req), bucket },
+      { $setOnInsert: { user: req.user ? req.user._id : null, createdAt: now } },
+      { upsert: true }
+    );
+    if (result.upsertedCount === 0) return false;
+  } catch (error) {
+    // Two requests for the same view raced; the other one counted it
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await Story.updateOne({ _id: story._id }, { $inc: { viewCount: 1 } });
+  await recordActivity(story._id, 'view', { at: now });
+  return true;
+};
+
+// Log a like, unlike or comment and fold it into the story's trending scores.
+// When undoing, returns when the original activity happened, if it was logged.
+const trackActivity = async (storyId, userId, type, { remove = false } = {}) => {
+  // An unlike takes back what the like was worth when it was made, not what a
+  // like made now would be worth
+  let at;
+  if (remove) {
+    const last = await StoryActivity.findOne({ story: storyId, user: userId, type: { $in: [type, `un${type}`] } })
+      .sort({ createdAt: -1 });
+    at = last && last.type === type ? last.createdAt : null;
+  }
+
+  const activity = await StoryActivity.create({
+    story: storyId,
+    user: userId,
+    type: remove ? `un${type}` : type
+  });
+  await recordActivity(storyId, type, remove ? { remove, at } : { at: activity.createdAt });
+  return at;
+};
+
+// Start of the day or (Monday-based) week a date falls in, in UTC
+const startOfInterval = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+const truncateDate = (interval) => ({
+  $dateTrunc: {
+    date: '$createdAt',
+    unit: interval,
+    timezone: 'UTC',
+    ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+  }
+});
+
+// Work out the date range for a report, defaulting to the last few buckets
+const resolveRange = (interval, from, to) => {
+  if (!ANALYTICS_INTERVALS[interval]) {
+    throw new Error(`Valid intervals are: ${Object.keys(ANALYTICS_INTERVALS).join(', ')}`);
+  }
+
+  const { length, defaultBuckets } = ANALYTICS_INTERVALS[interval];
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - (defaultBuckets - 1) * length);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new Error('from and to must be valid dates');
+  }
+  if (start > end) {
+    throw new Error('from must be before to');
+  }
+  if (end - start > MAX_RANGE) {
+    throw new Error('Analytics can cover at most one year at a time');
+  }
+
+  return { start: startOfInterval(start, interval), end };
+};
+
+const completionStats = async (storyIds) => {
+  const rows = await ReadingProgress.aggregate([
+    { $match: { story: { $in: storyIds } } },
+    {
+      $group: {
+        _id: '$story',
+        readers: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $gte: ['$percent', 100] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), {
+    readers: row.readers,
+    completed: row.completed,
+    completionRate: row.readers > 0 ? Math.round((row.completed / row.readers) * 1000) / 10 : 0
+  }]));
+};
+
+// Views, unique readers, likes and comments per day or week for one story
+const getStoryTimeline = async (story, { interval = 'day', from, to } = {}) => {
+  const { start, end } = resolveRange(interval, from, to);
+  const match = { story: story._id, createdAt: { $gte: start, $lte: end } };
+
+  const views = await StoryView.aggregate([
+    { $match: match },
+    { $group: { _id: truncateDate(interval), views: { $sum: 1 }, readers: { $addToSet: '$viewerKey' } } },
+    { $project: { views: 1, uniqueReaders: { $size: '$readers' } } }
+  ]);
+
+  const activity = await StoryActivity.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: truncateDate(interval),
+        likes: {
+          $sum: {
+            $switch: {
+              branches: [
+                { case: { $eq: ['$type', 'like'] }, then: 1 },
+                { case: { $eq: ['$type', 'unlike'] }, then: -1 }
+              ],
+              default: 0
+            }
+          }
+        },
+        comments: { $sum: { $cond: [{ $eq: ['$type', 'comment'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const [readers] = await StoryView.aggregate([
+    { $match: match },
+    { $group: { _id: '$viewerKey' } },
+    { $count: 'count' }
+  ]);
+
+  // Every bucket in the range is listed, including the quiet ones
+  const buckets = new Map();
+  for (let time = start.getTime(); time <= end.getTime(); time += ANALYTICS_INTERVALS[interval].length) {
+    buckets.set(time, { date: new Date(time), views: 0, uniqueReaders: 0, likes: 0, comments: 0 });
+  }
+  views.forEach(row => Object.assign(buckets.get(row._id.getTime()) || {}, {
+    views: row.views,
+    uniqueReaders: row.uniqueReaders
+  }));
+  activity.forEach(row => Object.assign(buckets.get(row._id.getTime()) || {}, {
+    likes: row.likes,
+    comments: row.comments
+  }));
+
+  const timeline = [...buckets.values()];
+  const completion = (await completionStats([story._id])).get(story._id.toString());
+
+  return {
+    interval,
+    from: start,
+    to: end,
+    totals: {
+      views: timeline.reduce((total, bucket) => total + bucket.views, 0),
+      uniqueReaders: readers ? readers.count : 0,
+      likes: timeline.reduce((total, bucket) => total + bucket.likes, 0),
+      comments: timeline.reduce((total, bucket) => total + bucket.comments, 0),
+      completionRate: completion ? completion.completionRate : 0
+    },
+    timeline
+  };
+};
+
+// All-time numbers for each of an author's stories
+const getAuthorSummary = async (authorId) => {
+  const stories = await Story.find({ author: authorId })
+    .select('title status viewCount likes commentCount createdAt')
+    .sort({ createdAt: -1 });
+  const storyIds = stories.map(story => story._id);
+
+  const readers = await StoryView.aggregate([
+    { $match: { story: { $in: storyIds } } },
+    { $group: { _id: { story: '$story', viewerKey: '$viewerKey' } } },
+    { $group: { _id: '$_id.story', count: { $sum: 1 } } }
+  ]);
+  const readersByStory = new Map(readers.map(row => [row._id.toString(), row.count]));
+  const completion = await completionStats(storyIds);
+
+  return stories.map(story => {
+    const key = story._id.toString();
+    return {
+      _id: story._id,
+      title: story.title,
+      status: story.status,
+      createdAt: story.createdAt,
+      views: story.viewCount,
+      uniqueReaders: readersByStory.get(key) || 0,
+      likes: story.likes.length,
+      comments: story.commentCount,
+      completionRate: completion.has(key) ? completion.get(key).completionRate : 0
+    };
+  });
+};
+
+module.exports = {
+  ANALYTICS_INTERVALS,
+  trackView,
+  trackActivity,
+  getStoryTimeline,
+  getAuthorSummary
+};
@@ -0,0 +1,23 @@
+const Annotation = require('../models/Annotation');
+const { reanchor } = require('../utils/anchoring');
+
+// Move the annotations on a story's text or one of its chapters to match new content.
+// Annotations whose quote disappeared are orphaned rather than deleted, and come
+// back if a later edit (or a restored revision) brings the quote back.
+const reanchorAnnotations = async (storyId, chapterId, content) => {
+  const annotations = await Annotation.find({ story: storyId, chapter: chapterId || null });
+
+  const operations = annotations.map(annotation => {
+    const anchor = reanchor(annotation, content || '');
+    const update = anchor ? { ...anchor, isOrphaned: false } : { isOrphaned: true };
+    return { updateOne: { filter: { _id: annotation._id }, update: { $set: update } } };
+  });
+
+  if (operations.length > 0) {
+    await Annotation.bulkWrite(operations);
+  }
+};
+
+module.exports = {
+  reanchorAnnotations
+};
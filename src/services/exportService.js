@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { createZip } = require('../utils/zip');
+
+const COVER_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif'
+};
+const COVER_TIMEOUT = 10000; // 10 seconds
+const MAX_COVER_SIZE = 5 * 1024 * 1024; // 5MB
+const COVER_HOST = 'res.cloudinary.com';
+
+const escapeXml = (value = '') => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Blank lines separate paragraphs; single line breaks are kept inside a paragraph
+const toParagraphs = (text = '') => {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+};
+
+const paragraphsToHtml = (text) => {
+  return toParagraphs(text)
+    .map(paragraph => `<p>${paragraph.split('\n').map(escapeXml).join('<br/>')}</p>`)
+    .join('\n');
+};
+
+// Safe ASCII file name for Content-Disposition
+const slugify = (title) => {
+  const slug = String(title)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'story';
+};
+
+const authorName = (story) => {
+  return (story.author && story.author.username) || 'Unknown author';
+};
+
+// The story body comes first, followed by each chapter
+const getSections = (story, chapters = []) => {
+  const sections = [];
+
+  if (story.content && story.content.trim()) {
+    sections.push({ title: story.title, content: story.content });
+  }
+  chapters.forEach(chapter => {
+    sections.push({ title: chapter.title, content: chapter.content });
+  });
+
+  return sections;
+};
+
+// Story images are free-form, so only images uploaded to the app's own Cloudinary
+// account are fetched; anything else would let an author point the server at any URL
+const isUploadedImage = (imageUrl) => {
+  let url;
+  try {
+    url = new URL(imageUrl);
+  } catch (error) {
+    return false;
+  }
+
+  return url.protocol === 'https:' &&
+    url.hostname === COVER_HOST &&
+    !url.port &&
+    !url.username &&
+    Boolean(process.env.CLOUDINARY_CLOUD_NAME) &&
+    url.pathname.startsWith(`/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload/`);
+};
+
+// Download the story image to embed as a cover; exports still work without one
+const fetchCover = async (imageUrl) => {
+  if (!imageUrl || !isUploadedImage(imageUrl)) return null;
+
+  try {
+    const response = await fetch(imageUrl, {
+      timeout: COVER_TIMEOUT,
+      size: MAX_COVER_SIZE,
+      redirect: 'error'
+    });
+    if (!response.ok) return null;
+
+    const mediaType = (response.headers.get('content-type') || '').split(';')[0].trim();
+    if (!COVER_TYPES[mediaType]) return null;
+
+    return {
+      data: await response.buffer(),
+      mediaType,
+      extension: COVER_TYPES[mediaType]
+    };
+  } catch (error) {
+    console.error('Error fetching cover image:', error.message);
+    return null;
+  }
+};
+
+const buildMarkdown = (story, chapters = []) => {
+  const lines = [`# ${story.title}`, '', `*by ${authorName(story)}*`, ''];
+
+  if (story.genre) {
+    lines.push(`Genre: ${story.genre}`, '');
+  }
+
+  getSections(story, chapters).forEach((section, index) => {
+    // The story body sits directly under the title; chapters get their own heading
+    if (chapters.length > 0 && (index > 0 || section.title !== story.title)) {
+      lines.push(`## ${section.title}`, '');
+    }
+    toParagraphs(section.content).forEach(paragraph => {
+      lines.push(paragraph, '');
+    });
+  });
+
+  return lines.join('\n');
+};
+
+const buildHtml = (story, chapters = []) => {
+  const sections = getSections(story, chapters);
+
+  const body = sections.map((section, index) => {
+    const heading = chapters.length > 0 && (index > 0 || section.title !== story.title)
+      ? `<h2>${escapeXml(section.title)}</h2>\n`
+      : '';
+    return `<section>\n${heading}${paragraphsToHtml(section.content)}\n</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(story.title)}</title>
+<meta name="author" content="${escapeXml(authorName(story))}"/>
+</head>
+<body>
+<h1>${escapeXml(story.title)}</h1>
+<p><em>by ${escapeXml(authorName(story))}</em></p>
+${body}
+</body>
+</html>
+`;
+};
+
+const xhtmlDocument = (title, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+const EPUB_STYLES = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1, h2 { text-align: center; }
+p { text-indent: 1.5em; margin: 0 0 0.5em; }
+.cover { text-align: center; }
+.cover img { max-width: 100%; max-height: 100%; }
+`;
+
+// Build an EPUB 3 package for a story and its chapters.
+// An EPUB must have something in its reading order, so a story with no text is refused.
+const buildEpub = async (story, chapters = []) => {
+  const sections = getSections(story, chapters);
+  if (sections.length === 0) {
+    throw new Error('There is no text to export as EPUB');
+  }
+
+  const identifier = `urn:uuid:${crypto.createHash('sha1').update(String(story._id)).digest('hex')
+    .slice(0, 32)
+    .replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5')}`;
+  const modified = new Date(story.updatedAt || Date.now()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const author = authorName(story);
+  const cover = await fetchCover(story.image);
+
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+    '<item id="styles" href="styles.css" media-type="text/css"/>'
+  ];
+  const spine = [];
+  const files = [];
+
+  if (cover) {
+    manifest.push(`<item id="cover-image" href="images/cover.${cover.extension}" media-type="${cover.mediaType}" properties="cover-image"/>`);
+    manifest.push('<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>');
+    spine.push('<itemref idref="cover" linear="no"/>');
+    files.push({ name: `OEBPS/images/cover.${cover.extension}`, data: cover.data, store: true });
+    files.push({
+      name: 'OEBPS/cover.xhtml',
+      data: xhtmlDocument(story.title, `<div class="cover"><img src="images/cover.${cover.extension}" alt="${escapeXml(story.title)}"/></div>`)
+    });
+  }
+
+  sections.forEach((section, index) => {
+    const id = `section-${index + 1}`;
+    manifest.push(`<item id="${id}" href="${id}.xhtml" media-type="application/xhtml+xml"/>`);
+    spine.push(`<itemref idref="${id}"/>`);
+
+    const heading = index === 0 ? `<h1>${escapeXml(section.title)}</h1>` : `<h2>${escapeXml(section.title)}</h2>`;
+    files.push({
+      name: `OEBPS/${id}.xhtml`,
+      data: xhtmlDocument(section.title, `<section epub:type="chapter">\n${heading}\n${paragraphsToHtml(section.content)}\n</section>`)
+    });
+  });
+
+  const navItems = sections
+    .map((section, index) => `<li><a href="section-${index + 1}.xhtml">${escapeXml(section.title)}</a></li>`)
+    .join('\n');
+  const navPoints = sections
+    .map((section, index) => `<navPoint id="nav-${index + 1}" playOrder="${index + 1}"><navLabel><text>${escapeXml(section.title)}</text></navLabel><content src="section-${index + 1}.xhtml"/></navPoint>`)
+    .join('\n');
+
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${identifier}</dc:identifier>
+<dc:title>${escapeXml(story.title)}</dc:title>
+<dc:creator id="creator">${escapeXml(author)}</dc:creator>
+<dc:language>en</dc:language>
+${story.genre ? `<dc:subject>${escapeXml(story.genre)}</dc:subject>\n` : ''}<dc:publisher>NovelAI Hub</dc:publisher>
+<meta property="dcterms:modified">${modified}</meta>
+${cover ? '<meta name="cover" content="cover-image"/>\n' : ''}</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine toc="ncx">
+${spine.join('\n')}
+</spine>
+</package>
+`;
+
+  const nav = xhtmlDocument(story.title, `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${navItems}
+</ol>
+</nav>`);
+
+  const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${identifier}"/></head>
+<docTitle><text>${escapeXml(story.title)}</text></docTitle>
+<navMap>
+${navPoints}
+</navMap>
+</ncx>
+`;
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+  // The mimetype entry must come first and be stored uncompressed
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/toc.ncx', data: ncx },
+    { name: 'OEBPS/styles.css', data: EPUB_STYLES },
+    ...files
+  ]);
+};
+
+module.exports = {
+  buildEpub,
+  buildMarkdown,
+  buildHtml,
+  slugify
+};
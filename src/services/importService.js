@@ -0,0 +1,190 @@
+const path = require('path');
+const { readZip } = require('../utils/zip');
+
+const MAX_TITLE_LENGTH = 100;
+
+// Plain-text chapter markers such as "Chapter 3", "CHAPTER IV: The Storm" or "Prologue"
+const NUMBER_WORDS = 'one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty';
+const TEXT_HEADING = new RegExp(
+  `^(?:(?:chapter|part|book)\\s+(?:\\d+|[ivxlcdm]+|${NUMBER_WORDS})|prologue|epilogue|interlude)(?:\\s*[:.\\-–—]\\s*.*)?$`,
+  'i'
+);
+
+const decodeXmlEntities = (text) => {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+};
+
+// Group lines into paragraph blocks, treating blank lines as separators
+const linesToBlocks = (lines, detectHeading) => {
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+      paragraph = [];
+    }
+  };
+
+  lines.forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      flush();
+      return;
+    }
+
+    const heading = detectHeading(trimmed);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', ...heading });
+    } else {
+      paragraph.push(trimmed);
+    }
+  });
+  flush();
+
+  return blocks;
+};
+
+const parsePlainText = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  return linesToBlocks(lines, line => (
+    TEXT_HEADING.test(line) && line.length <= MAX_TITLE_LENGTH ? { level: 2, text: line } : null
+  ));
+};
+
+const parseMarkdown = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  return linesToBlocks(lines, line => {
+    const match = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+    return match ? { level: match[1].length, text: match[2].trim() } : null;
+  });
+};
+
+// Pull paragraphs and heading styles out of word/document.xml
+const parseDocx = (buffer) => {
+  const entries = readZip(buffer, ['word/document.xml', 'docProps/core.xml']);
+  const documentXml = entries.get('word/document.xml');
+
+  if (!documentXml) {
+    throw new Error('The uploaded file is not a valid .docx document');
+  }
+
+  const blocks = [];
+  const xml = documentXml.toString('utf8');
+  const paragraphs = xml.match(/<w:p[ >][\s\S]*?<\/w:p>/g) || [];
+
+  paragraphs.forEach(paragraph => {
+    const text = decodeXmlEntities(
+      paragraph
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:br[^>]*\/>/g, '\n')
+        .replace(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<[^>]+>/g, (match, content) => content || '')
+    ).trim();
+
+    if (!text) return;
+
+    const style = paragraph.match(/<w:pStyle w:val="([^"]+)"/);
+    const styleName = style ? style[1].toLowerCase() : '';
+    const headingLevel = styleName.match(/^heading(\d)$/);
+
+    if (styleName === 'title') {
+      blocks.push({ type: 'title', text });
+    } else if (headingLevel) {
+      blocks.push({ type: 'heading', level: parseInt(headingLevel[1], 10), text });
+    } else {
+      blocks.push({ type: 'paragraph', text });
+    }
+  });
+
+  const coreXml = entries.get('docProps/core.xml');
+  const titleMatch = coreXml && coreXml.toString('utf8').match(/<dc:title>([\s\S]*?)<\/dc:title>/);
+
+  return {
+    blocks,
+    metadataTitle: titleMatch ? decodeXmlEntities(titleMatch[1]).trim() : null
+  };
+};
+
+const joinParagraphs = (blocks) => blocks.map(block => block.text).join('\n\n');
+
+const titleFromFilename = (filename) => {
+  return path.basename(filename, path.extname(filename))
+    .replace(/[_-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Turn parsed blocks into a title, a preface and chapters split on the top heading level
+const buildManuscript = (blocks, fallbackTitle) => {
+  let title = null;
+  let remaining = blocks;
+
+  const titleIndex = remaining.findIndex(block => block.type === 'title');
+  if (titleIndex !== -1) {
+    title = remaining[titleIndex].text;
+    remaining = remaining.filter((block, index) => index !== titleIndex);
+  } else if (remaining.length > 0 && remaining[0].type === 'heading') {
+    // A lone top-level heading at the very start is the document title
+    const first = remaining[0];
+    const sameLevel = remaining.filter(block => block.type === 'heading' && block.level <= first.level);
+    if (sameLevel.length === 1) {
+      title = first.text;
+      remaining = remaining.slice(1);
+    }
+  }
+
+  const headings = remaining.filter(block => block.type === 'heading');
+  const chapterLevel = headings.length > 0 ? Math.min(...headings.map(block => block.level)) : null;
+
+  const preface = [];
+  const chapters = [];
+
+  remaining.forEach(block => {
+    if (block.type === 'heading' && block.level === chapterLevel) {
+      chapters.push({ title: block.text, blocks: [] });
+    } else if (chapters.length > 0) {
+      chapters[chapters.length - 1].blocks.push(block);
+    } else {
+      preface.push(block);
+    }
+  });
+
+  return {
+    title: (title || fallbackTitle || 'Untitled story').slice(0, MAX_TITLE_LENGTH),
+    content: joinParagraphs(preface),
+    chapters: chapters
+      .map(chapter => ({
+        title: chapter.title.slice(0, MAX_TITLE_LENGTH),
+        content: joinParagraphs(chapter.blocks)
+      }))
+      .filter(chapter => chapter.content)
+  };
+};
+
+// Extract a title, preface text and chapters from an uploaded manuscript
+const parseManuscript = (file) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  const filenameTitle = titleFromFilename(file.originalname);
+
+  if (ext === '.docx') {
+    const { blocks, metadataTitle } = parseDocx(file.buffer);
+    return buildManuscript(blocks, metadataTitle || filenameTitle);
+  }
+
+  const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const blocks = ext === '.md' ? parseMarkdown(text) : parsePlainText(text);
+
+  return buildManuscript(blocks, filenameTitle);
+};
+
+module.exports = {
+  parseManuscript
+};
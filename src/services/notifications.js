@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { publishNotification } = require('./realtime');
+
+// Repeated activity of these types on the same story is folded into one unread notification
+const AGGREGATED_TYPES = ['like'];
+
+// Aggregated notifications keep a count plus this many of the latest actors
+const MAX_RECENT_ACTORS = 3;
+
+// Short text for each notification, e.g. 'alice and 12 others liked your story "Dusk"'
+const describeNotification = (notification) => {
+  const actor = notification.actor ? notification.actor.username : 'Someone';
+  const others = notification.othersCount;
+  const who = others > 0 ? `${actor} and ${others} ${others === 1 ? 'other' : 'others'}` : actor;
+  const title = notification.story ? `"${notification.story.title}"` : 'a story';
+
+  switch (notification.type) {
+    case 'like':
+      return `${who} liked your story ${title}`;
+    case 'comment':
+      return `${who} commented on your story ${title}`;
+    case 'reply':
+      return `${who} replied to your comment on ${title}`;
+    case 'follow':
+      return `${who} started following you`;
+    case 'mention':
+      return `${who} mentioned you in a comment on ${title}`;
+    case 'warning':
+      return 'You received a warning from the moderators';
+    default:
+      return who;
+  }
+};
+
+// Fold an action into the recipient's unread notification of the same type and
+// story. Callers make sure a user is only counted once, e.g. one like per story.
+const aggregateNotification = ({ recipient, actor, type, story }) => {
+  const actorId = new mongoose.Types.ObjectId(actor);
+  const now = new Date();
+
+  // Pipeline updates are not cast or stamped by Mongoose, so ids and times are set here
+  return Notification.findOneAndUpdate(
+    { recipient, type, story, read: false },
+    [{
+      $set: {
+        actor: actorId,
+        actors: {
+          $slice: [
+            {
+              $concatArrays: [
+                { $filter: { input: { $ifNull: ['$actors', []] }, cond: { $ne: ['$$this', actorId] } } },
+                [actorId]
+              ]
+            },
+            -MAX_RECENT_ACTORS
+          ]
+        },
+        actorCount: { $add: [{ $ifNull: ['$actorCount', 0] }, 1] },
+        comment: null,
+        createdAt: { $ifNull: ['$createdAt', now] },
+        updatedAt: now
+      }
+    }],
+    { new: true, upsert: true, timestamps: false }
+  );
+};
+
+// Take an undone action, e.g. an unlike, back out of the unread notification it
+// was folded into. since is when the action happened: notifications started
+// after it never counted it. Without it, only a listed recent actor is removed.
+const retractNotification = async ({ recipient, actor, type, story, since = null }) => {
+  if (!recipient || recipient.toString() === actor.toString()) {
+    return;
+  }
+
+  const actorId = new mongoose.Types.ObjectId(actor);
+  const notification = await Notification.findOneAndUpdate(
+    {
+      recipient,
+      type,
+      story,
+      read: false,
+      ...(since ? { createdAt: { $lte: since } } : { actors: actorId })
+    },
+    [
+      {
+        $set: {
+          actors: { $filter: { input: '$actors', cond: { $ne: ['$$this', actorId] } } },
+          actorCount: { $subtract: [{ $ifNull: ['$actorCount', 1] }, 1] }
+        }
+      },
+      { $set: { actor: { $ifNull: [{ $arrayElemAt: ['$actors', -1] }, '$actor'] } } }
+    ],
+    { new: true, timestamps: false }
+  );
+
+  if (notification && notification.actorCount <= 0) {
+    await Notification.deleteOne({ _id: notification._id });
+  }
+};
+
+// Create a notification for something one user did that concerns another,
+// and push it to the recipient if they are connected.
+// Nobody is notified about their own actions. System notifications, such as
+// moderator warnings, have no actor so the recipient never learns who acted.
+const notify = async ({ recipient, actor = null, type, story = null, comment = null }) => {
+  if (!recipient || (actor && recipient.toString() === actor.toString())) {
+    return null;
+  }
+
+  const notification = AGGREGATED_TYPES.includes(type)
+    ? await aggregateNotification({ recipient, actor, type, story })
+    : await Notification.create({ recipient, actor, actors: actor ? [actor] : [], type, story, comment });
+
+  await notification.populate([
+    { path: 'actor', select: 'username profilePicture' },
+    { path: 'story', select: 'title' }
+  ]);
+  publishNotification(notification, describeNotification(notification));
+
+  return notification;
+};
+
+module.exports = {
+  describeNotification,
+  notify,
+  retractNotification
+};
@@ -0,0 +1,50 @@
+const Story = require('../models/Story');
+const Tag = require('../models/Tag');
+
+const DEFAULT_INTERVAL = 60 * 1000; // 1 minute
+
+// Publish every draft whose scheduled time has passed
+const publishDueStories = async (now = new Date()) => {
+  const due = await Story.find({ status: 'draft', publishAt: { $ne: null, $lte: now } })
+    .select('tags isHidden');
+
+  let published = 0;
+  for (const story of due) {
+    // The status check keeps two schedulers from publishing the same story twice
+    const result = await Story.updateOne(
+      { _id: story._id, status: 'draft' },
+      [{ $set: { status: 'published', publishedAt: '$publishAt', publishAt: null } }]
+    );
+    if (result.modifiedCount === 0) continue;
+
+    published++;
+    await Tag.syncStory(
+      { status: 'draft', isHidden: story.isHidden, tags: story.tags },
+      { status: 'published', isHidden: story.isHidden, tags: story.tags }
+    );
+  }
+
+  return published;
+};
+
+// Poll for due stories in the background; the timer never keeps the process alive
+const startPublishScheduler = (interval = DEFAULT_INTERVAL) => {
+  const timer = setInterval(async () => {
+    try {
+      const published = await publishDueStories();
+      if (published > 0) {
+        console.log(`Published ${published} scheduled ${published === 1 ? 'story' : 'stories'}`);
+      }
+    } catch (error) {
+      console.error('Scheduled publishing error:', error.message);
+    }
+  }, interval);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  publishDueStories,
+  startPublishScheduler
+};
@@ -0,0 +1,85 @@
+const { EventEmitter } = require('events');
+const Story = require('../models/Story');
+
+// In-memory event bus behind the /api/stream endpoint. Events are published on
+// channels ("user:<id>" for a user's notifications, "story:<id>" for a story's
+// live counts) and the most recent ones are kept so a reconnecting client can
+// catch up from the last event id it saw. This only reaches clients connected
+// to the same server process.
+
+const MAX_BUFFERED_EVENTS = 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffer = [];
+
+// Ids start from the boot time so they keep growing across restarts
+let lastId = Date.now();
+
+const publish = (channel, event, data) => {
+  lastId += 1;
+  const entry = { id: lastId, channel, event, data };
+
+  buffer.push(entry);
+  if (buffer.length > MAX_BUFFERED_EVENTS) {
+    buffer.shift();
+  }
+
+  emitter.emit('event', entry);
+  return entry;
+};
+
+// Call listener for every new event on the given channels. Returns the unsubscribe function.
+const subscribe = (channels, listener) => {
+  const wanted = new Set(channels);
+  const handler = (entry) => {
+    if (wanted.has(entry.channel)) listener(entry);
+  };
+
+  emitter.on('event', handler);
+  return () => emitter.off('event', handler);
+};
+
+// Events on the given channels published after sinceId. complete is false when
+// some of them have already been dropped from the buffer, or the id is from
+// the future (the server restarted), and the client should refetch instead.
+const eventsSince = (sinceId, channels) => {
+  const wanted = new Set(channels);
+  const oldest = buffer.length > 0 ? buffer[0].id : lastId + 1;
+
+  return {
+    complete: sinceId >= oldest - 1 && sinceId <= lastId,
+    events: buffer.filter(entry => entry.id > sinceId && wanted.has(entry.channel))
+  };
+};
+
+const getStoryCounts = async (storyId) => {
+  const story = await Story.findById(storyId).select('likes commentCount');
+  return story ? { story: story._id, likes: story.likes.length, comments: story.commentCount } : null;
+};
+
+// Push a story's current like and comment counts to everyone watching it
+const publishStoryCounts = async (storyId) => {
+  const counts = await getStoryCounts(storyId);
+  if (counts) {
+    publish(`story:${storyId}`, 'counts', counts);
+  }
+};
+
+// Push a new or updated notification to its recipient
+const publishNotification = (notification, message) => {
+  publish(`user:${notification.recipient}`, 'notification', {
+    ...notification.toObject(),
+    message
+  });
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  eventsSince,
+  getStoryCounts,
+  publishStoryCounts,
+  publishNotification
+};
@@ -0,0 +1,202 @@
+const Story = require('../models/Story');
+const ReadingProgress = require('../models/ReadingProgress');
+const { publicStoryFilter } = require('../utils/storyAccess');
+const { getHiddenAuthorIds, excludeAuthors } = require('./relationships');
+const { extractKeywords } = require('../utils/text');
+
+const CANDIDATE_LIMIT = 50;
+const SEED_LIMIT = 20;
+const MAX_CO_LIKERS = 200;
+const MAX_KEYWORDS = 12;
+const RESULT_FIELDS = '-content';
+
+// Points each signal can contribute at most
+const WEIGHTS = {
+  content: 3,
+  genre: 1,
+  tags: 2,
+  coLikes: 3
+};
+
+const addScore = (scores, id, points, reason) => {
+  if (points <= 0) return;
+
+  const key = id.toString();
+  const entry = scores.get(key) || { score: 0, reasons: new Set() };
+  entry.score += points;
+  entry.reasons.add(reason);
+  scores.set(key, entry);
+};
+
+const tagOverlap = (a = [], b = []) => {
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const shared = a.filter(tag => b.includes(tag)).length;
+  return shared / new Set([...a, ...b]).size;
+};
+
+// Stories whose title and text share the most terms with the given keywords
+const scoreByContent = async (scores, keywords, filter) => {
+  if (keywords.length === 0) return;
+
+  const matches = await Story.find({ ...filter, $text: { $search: keywords.join(' ') } })
+    .select({ score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  const top = matches.length > 0 ? matches[0].score : 0;
+  matches.forEach(match => {
+    addScore(scores, match._id, WEIGHTS.content * (match.score / top), 'similar-content');
+  });
+};
+
+// Stories liked by the same readers, scored by how many of them they share
+const scoreByCoLikes = async (scores, likers, filter) => {
+  if (likers.length === 0) return;
+
+  const matches = await Story.aggregate([
+    { $match: { ...filter, likes: { $in: likers } } },
+    { $project: { shared: { $size: { $setIntersection: ['$likes', likers] } } } },
+    { $sort: { shared: -1 } },
+    { $limit: CANDIDATE_LIMIT }
+  ]);
+
+  const top = matches.length > 0 ? matches[0].shared : 0;
+  matches.forEach(match => {
+    addScore(scores, match._id, WEIGHTS.coLikes * (match.shared / top), 'liked-by-similar-readers');
+  });
+};
+
+// Load the best scoring candidates, highest score first, with the reasons they were picked
+const rankCandidates = async (scores, filter, limit) => {
+  const ranked = [...scores.entries()]
+    .sort((a, b) => b[1].score - a[1].score)
+    .slice(0, limit);
+
+  const stories = await Story.find({ ...filter, _id: { $in: ranked.map(([id]) => id) } })
+    .select(RESULT_FIELDS)
+    .populate('author', 'username');
+  const byId = new Map(stories.map(story => [story._id.toString(), story]));
+
+  return ranked
+    .filter(([id]) => byId.has(id))
+    .map(([id, { score, reasons }]) => ({
+      ...byId.get(id).toObject(),
+      recommendation: {
+        score: Math.round(score * 100) / 100,
+        reasons: [...reasons]
+      }
+    }));
+};
+
+// Stories similar to the given one, for a "more like this" list
+const getSimilarStories = async (story, viewer, limit = 10) => {
+  const filter = excludeAuthors(
+    { ...publicStoryFilter(viewer), _id: { $ne: story._id } },
+    await getHiddenAuthorIds(viewer)
+  );
+  const scores = new Map();
+
+  // Title words go first so they survive the keyword cap on long stories
+  const keywords = [...new Set([
+    ...extractKeywords(story.title, MAX_KEYWORDS),
+    ...extractKeywords(story.content, MAX_KEYWORDS)
+  ])].slice(0, MAX_KEYWORDS);
+  await scoreByContent(scores, keywords, filter);
+
+  const related = await Story.find({
+    ...filter,
+    $or: [{ genre: story.genre }, { tags: { $in: story.tags } }]
+  })
+    .select('genre tags')
+    .sort({ popularity: -1 })
+    .limit(CANDIDATE_LIMIT);
+
+  related.forEach(candidate => {
+    if (candidate.genre === story.genre) {
+      addScore(scores, candidate._id, WEIGHTS.genre, 'same-genre');
+    }
+    addScore(scores, candidate._id, WEIGHTS.tags * tagOverlap(candidate.tags, story.tags), 'shared-tags');
+  });
+
+  const likers = story.likes
+    .filter(id => !viewer || id.toString() !== viewer._id.toString())
+    .slice(-MAX_CO_LIKERS);
+  await scoreByCoLikes(scores, likers, filter);
+
+  return rankCandidates(scores, filter, limit);
+};
+
+// Personalized picks based on what the user liked and has been reading
+const getRecommendationsForUser = async (user, limit = 10) => {
+  const liked = await Story.find({ likes: user._id })
+    .select('genre tags likes')
+    .sort({ updatedAt: -1 })
+    .limit(SEED_LIMIT);
+  const progress = await ReadingProgress.find({ user: user._id })
+    .sort({ lastReadAt: -1 })
+    .limit(SEED_LIMIT)
+    .populate('story', 'genre tags');
+
+  const seeds = [...liked, ...progress.map(entry => entry.story).filter(Boolean)];
+  const filter = excludeAuthors({
+    ...publicStoryFilter(user),
+    _id: { $nin: seeds.map(seed => seed._id) },
+    author: { $ne: user._id }
+  }, await getHiddenAuthorIds(user));
+
+  // Nothing to go on yet, so fall back to what everyone else enjoys
+  if (seeds.length === 0) {
+    const popular = await Story.find(filter)
+      .select(RESULT_FIELDS)
+      .populate('author', 'username')
+      .sort({ popularity: -1, createdAt: -1 })
+      .limit(limit);
+
+    return popular.map(story => ({
+      ...story.toObject(),
+      recommendation: { score: 0, reasons: ['popular'] }
+    }));
+  }
+
+  // Taste profile: how often each genre and tag shows up in the seeds
+  const genres = new Map();
+  const tags = new Map();
+  seeds.forEach(seed => {
+    genres.set(seed.genre, (genres.get(seed.genre) || 0) + 1);
+    (seed.tags || []).forEach(tag => tags.set(tag, (tags.get(tag) || 0) + 1));
+  });
+  const topGenre = Math.max(...genres.values());
+  const topTag = tags.size > 0 ? Math.max(...tags.values()) : 0;
+
+  const scores = new Map();
+  const related = await Story.find({
+    ...filter,
+    $or: [{ genre: { $in: [...genres.keys()] } }, { tags: { $in: [...tags.keys()] } }]
+  })
+    .select('genre tags')
+    .sort({ popularity: -1 })
+    .limit(CANDIDATE_LIMIT * 2);
+
+  related.forEach(candidate => {
+    addScore(scores, candidate._id, WEIGHTS.genre * ((genres.get(candidate.genre) || 0) / topGenre), 'matches-your-genres');
+    if (topTag > 0) {
+      const tagScore = candidate.tags.reduce((total, tag) => total + (tags.get(tag) || 0), 0) / topTag;
+      addScore(scores, candidate._id, Math.min(WEIGHTS.tags, tagScore), 'matches-your-tags');
+    }
+  });
+
+  const likers = new Map();
+  liked.forEach(story => story.likes.forEach(id => {
+    if (!id.equals(user._id)) likers.set(id.toString(), id);
+  }));
+  await scoreByCoLikes(scores, [...likers.values()].slice(0, MAX_CO_LIKERS), filter);
+
+  return rankCandidates(scores, filter, limit);
+};
+
+module.exports = {
+  getSimilarStories,
+  getRecommendationsForUser
+};
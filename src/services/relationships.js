@@ -0,0 +1,40 @@
+const User = require('../models/User');
+
+// Whether owner has blocked user
+const hasBlocked = async (ownerId, user) => {
+  if (!user) return false;
+  if (user.blockedBy) {
+    return user.blockedBy.some(id => id.toString() === ownerId.toString());
+  }
+  return Boolean(await User.exists({ _id: ownerId, blockedUsers: user._id }));
+};
+
+// Authors whose stories and comments a viewer should not see in listings:
+// people the viewer blocked or muted, and people who blocked the viewer
+const getHiddenAuthorIds = async (user) => {
+  if (!user) return [];
+
+  const blockers = user.blockedBy || await User.find({ blockedUsers: user._id }).distinct('_id');
+  return [...(user.blockedUsers || []), ...(user.mutedUsers || []), ...blockers];
+};
+
+// Add an author exclusion to a query, keeping any author condition it already has
+const excludeAuthors = (query, authorIds) => {
+  if (authorIds.length === 0) return query;
+
+  const current = query.author;
+  if (current === undefined) {
+    query.author = { $nin: authorIds };
+  } else if (current && typeof current === 'object' && !current._bsontype) {
+    query.author = { ...current, $nin: authorIds };
+  } else {
+    query.author = { $eq: current, $nin: authorIds };
+  }
+  return query;
+};
+
+module.exports = {
+  hasBlocked,
+  getHiddenAuthorIds,
+  excludeAuthors
+};
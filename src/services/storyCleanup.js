@@ -0,0 +1,46 @@
+const Story = require('../models/Story');
+const Chapter = require('../models/Chapter');
+const Revision = require('../models/Revision');
+const Suggestion = require('../models/Suggestion');
+const Series = require('../models/Series');
+const Tag = require('../models/Tag');
+const ReadingProgress = require('../models/ReadingProgress');
+const Bookmark = require('../models/Bookmark');
+const Shelf = require('../models/Shelf');
+const Comment = require('../models/Comment');
+const Annotation = require('../models/Annotation');
+const Notification = require('../models/Notification');
+const StoryView = require('../models/StoryView');
+const StoryActivity = require('../models/StoryActivity');
+
+// Delete a story along with everything that hangs off it
+const removeStory = async (story) => {
+  await Chapter.deleteMany({ story: story._id });
+  await Revision.deleteMany({ story: story._id });
+  await Suggestion.deleteMany({ story: story._id });
+  await ReadingProgress.deleteMany({ story: story._id });
+  await Bookmark.deleteMany({ story: story._id });
+  await Comment.deleteMany({ story: story._id });
+  await Annotation.deleteMany({ story: story._id });
+  await Notification.deleteMany({ story: story._id });
+  await StoryView.deleteMany({ story: story._id });
+  await StoryActivity.deleteMany({ story: story._id });
+  await Shelf.updateMany(
+    { 'stories.story': story._id },
+    { $pull: { stories: { story: story._id } } }
+  );
+
+  if (story.forkedFrom) {
+    await Story.updateOne({ _id: story.forkedFrom }, { $inc: { forkCount: -1 } });
+  }
+  if (story.series) {
+    await Series.updateOne({ _id: story.series }, { $pull: { stories: story._id } });
+  }
+
+  await Story.deleteOne({ _id: story._id });
+  await Tag.syncStory(story, null);
+};
+
+module.exports = {
+  removeStory
+};
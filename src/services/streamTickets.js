@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+// EventSource cannot send an Authorization header, and anything in the URL ends
+// up in logs, so streams authenticate with a short-lived ticket that works once.
+// Tickets live in memory, like the event bus they give access to.
+
+const TICKET_TTL = 60 * 1000;
+
+const tickets = new Map();
+
+const removeExpired = (now = Date.now()) => {
+  tickets.forEach((entry, ticket) => {
+    if (entry.expiresAt <= now) tickets.delete(ticket);
+  });
+};
+
+// Issue a ticket the user can open one stream with
+const issueTicket = (userId) => {
+  removeExpired();
+
+  const ticket = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = Date.now() + TICKET_TTL;
+  tickets.set(ticket, { userId: userId.toString(), expiresAt });
+
+  return { ticket, expiresAt: new Date(expiresAt) };
+};
+
+// The user id a ticket was issued to, or null if it is unknown, used or expired
+const redeemTicket = (ticket) => {
+  const entry = tickets.get(String(ticket));
+  if (!entry) return null;
+
+  tickets.delete(String(ticket));
+  return entry.expiresAt > Date.now() ? entry.userId : null;
+};
+
+module.exports = {
+  issueTicket,
+  redeemTicket
+};
@@ -0,0 +1,128 @@
+const Story = require('../models/Story');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// How much each kind of activity counts towards a story's score
+const ACTIVITY_WEIGHTS = {
+  view: 1,
+  like: 3,
+  comment: 5
+};
+
+// Decayed windows. Activity loses half its weight every halfLife, and stories
+// without any activity inside the span drop out of that window entirely.
+const TRENDING_WINDOWS = {
+  day: { halfLife: 6 * HOUR, span: DAY },
+  week: { halfLife: 2 * DAY, span: 7 * DAY }
+};
+
+// Scores are stored as log2 of the decayed sum, measured against a fixed epoch.
+// Decaying everything at the same rate never changes the order, so instead of
+// shrinking old scores we grow new activity: an event at time t is worth
+// weight * 2^((t - epoch) / halfLife). Keeping the log keeps the numbers small.
+const EPOCH = Date.UTC(2024, 0, 1);
+
+const logWeight = (weight, halfLife, at) => {
+  return Math.log2(weight) + (at.getTime() - EPOCH) / halfLife;
+};
+
+// log2(2^score + 2^value) without overflowing
+const addLogScore = (field, value) => ({
+  $cond: [
+    { $eq: [{ $ifNull: [field, null] }, null] },
+    value,
+    {
+      $let: {
+        vars: { top: { $max: [field, value] } },
+        in: {
+          $add: [
+            '$$top',
+            {
+              $log: [
+                {
+                  $add: [
+                    { $pow: [2, { $subtract: [field, '$$top'] }] },
+                    { $pow: [2, { $subtract: [value, '$$top'] }] }
+                  ]
+                },
+                2
+              ]
+            }
+          ]
+        }
+      }
+    }
+  ]
+});
+
+// log2(2^score - 2^value), or null once nothing meaningful is left
+const subtractLogScore = (field, value) => ({
+  $cond: [
+    { $gt: [{ $ifNull: [field, null] }, value + 1e-6] },
+    {
+      $add: [
+        field,
+        { $log: [{ $subtract: [1, { $pow: [2, { $subtract: [value, field] }] }] }, 2] }
+      ]
+    },
+    null
+  ]
+});
+
+// Fold one like, comment or view into a story's trending and all-time scores.
+// Pass remove: true when the activity is undone, e.g. an unlike, with at set to
+// when the original activity happened so exactly its share is taken back out.
+// Without a time only the all-time score is adjusted.
+const recordActivity = async (storyId, type, { remove = false, at = remove ? null : new Date() } = {}) => {
+  const weight = ACTIVITY_WEIGHTS[type];
+  if (!weight) {
+    throw new Error(`Unknown activity type: ${type}`);
+  }
+
+  const update = {
+    popularity: {
+      $max: [0, { $add: [{ $ifNull: ['$popularity', 0] }, remove ? -weight : weight] }]
+    }
+  };
+
+  if (at) {
+    Object.entries(TRENDING_WINDOWS).forEach(([name, { halfLife }]) => {
+      const field = `$trending.${name}`;
+      const value = logWeight(weight, halfLife, at);
+      update[`trending.${name}`] = remove ? subtractLogScore(field, value) : addLogScore(field, value);
+    });
+  }
+
+  if (!remove) {
+    update['trending.lastActivityAt'] = at;
+  }
+
+  await Story.updateOne({ _id: storyId }, [{ $set: update }]);
+};
+
+// Query conditions and sort order for a trending window, or for all time
+const trendingQuery = (window, now = new Date()) => {
+  if (window === 'all') {
+    return {
+      filter: {},
+      sort: { popularity: -1, createdAt: -1 }
+    };
+  }
+
+  const { span } = TRENDING_WINDOWS[window];
+  return {
+    filter: {
+      [`trending.${window}`]: { $ne: null },
+      'trending.lastActivityAt': { $gte: new Date(now.getTime() - span) }
+    },
+    sort: { [`trending.${window}`]: -1, createdAt: -1 }
+  };
+};
+
+module.exports = {
+  ACTIVITY_WEIGHTS,
+  TRENDING_WINDOWS,
+  recordActivity,
+  trendingQuery
+};
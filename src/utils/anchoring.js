@@ -0,0 +1,105 @@
+// Anchors pin an annotation to a character range inside one paragraph of a text.
+// Alongside the position they keep the quoted text and a little context on each
+// side, so the range can be found again after the text is edited.
+
+const CONTEXT_LENGTH = 32;
+
+// Split text into paragraphs on blank lines, keeping each paragraph's offset
+const splitParagraphs = (text = '') => {
+  const paragraphs = [];
+  const pattern = /\S[\s\S]*?(?=\n\s*\n|\s*$)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    paragraphs.push({ start: match.index, text: match[0] });
+  }
+
+  return paragraphs;
+};
+
+// Build an anchor for a range in a paragraph, or throw if the range is out of bounds
+const createAnchor = (text, { paragraph, start, end }) => {
+  const paragraphs = splitParagraphs(text);
+  const target = paragraphs[paragraph];
+
+  if (!Number.isInteger(paragraph) || !target) {
+    throw new Error(`paragraph must be between 0 and ${paragraphs.length - 1}`);
+  }
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > target.text.length) {
+    throw new Error(`start and end must select text within paragraph ${paragraph}`);
+  }
+
+  const absoluteStart = target.start + start;
+  const absoluteEnd = target.start + end;
+
+  return {
+    paragraph,
+    start,
+    end,
+    quote: text.slice(absoluteStart, absoluteEnd),
+    prefix: text.slice(Math.max(0, absoluteStart - CONTEXT_LENGTH), absoluteStart),
+    suffix: text.slice(absoluteEnd, absoluteEnd + CONTEXT_LENGTH)
+  };
+};
+
+const commonSuffixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) {
+    length += 1;
+  }
+  return length;
+};
+
+const commonPrefixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length += 1;
+  }
+  return length;
+};
+
+// Find where an anchor belongs in new text. Returns the updated anchor, or
+// null when the quoted text no longer appears within a single paragraph.
+const reanchor = (anchor, text) => {
+  const paragraphs = splitParagraphs(text);
+
+  // Nothing moved
+  const current = paragraphs[anchor.paragraph];
+  if (current && current.text.slice(anchor.start, anchor.end) === anchor.quote) {
+    return createAnchor(text, anchor);
+  }
+
+  // Otherwise look at every place the quote still appears and keep the one
+  // whose surroundings match best, preferring the paragraph it used to be in
+  let best = null;
+  paragraphs.forEach((candidate, index) => {
+    let offset = candidate.text.indexOf(anchor.quote);
+    while (offset !== -1) {
+      const absoluteStart = candidate.start + offset;
+      const absoluteEnd = absoluteStart + anchor.quote.length;
+      const context =
+        commonSuffixLength(anchor.prefix, text.slice(Math.max(0, absoluteStart - CONTEXT_LENGTH), absoluteStart)) +
+        commonPrefixLength(anchor.suffix, text.slice(absoluteEnd, absoluteEnd + CONTEXT_LENGTH));
+      const distance = Math.abs(index - anchor.paragraph);
+
+      if (!best || context > best.context || (context === best.context && distance < best.distance)) {
+        best = { paragraph: index, start: offset, context, distance };
+      }
+      offset = candidate.text.indexOf(anchor.quote, offset + 1);
+    }
+  });
+
+  if (!best) return null;
+
+  return createAnchor(text, {
+    paragraph: best.paragraph,
+    start: best.start,
+    end: best.start + anchor.quote.length
+  });
+};
+
+module.exports = {
+  splitParagraphs,
+  createAnchor,
+  reanchor
+};
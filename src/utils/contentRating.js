@@ -0,0 +1,76 @@
+// Ratings from least to most restrictive audience
+const RATINGS = ['general', 'teen', 'mature'];
+
+const CONTENT_WARNINGS = [
+  'violence',
+  'gore',
+  'sexual-content',
+  'self-harm',
+  'suicide',
+  'substance-abuse',
+  'abuse',
+  'death',
+  'strong-language',
+  'discrimination'
+];
+
+// What anonymous readers get
+const DEFAULT_PREFERENCES = {
+  maxRating: 'general',
+  hiddenWarnings: []
+};
+
+// Accepts an array or a comma-separated string (as sent by multipart forms)
+const normalizeWarnings = (input) => {
+  if (!input) return [];
+
+  const raw = Array.isArray(input) ? input : String(input).split(',');
+  return [...new Set(raw.map(warning => String(warning).trim().toLowerCase()).filter(Boolean))];
+};
+
+const getViewerPreferences = (user) => {
+  if (!user || !user.contentPreferences) return DEFAULT_PREFERENCES;
+
+  return {
+    maxRating: user.contentPreferences.maxRating || DEFAULT_PREFERENCES.maxRating,
+    hiddenWarnings: user.contentPreferences.hiddenWarnings || []
+  };
+};
+
+const allowedRatings = (maxRating) => {
+  const index = RATINGS.indexOf(maxRating);
+  return RATINGS.slice(0, index === -1 ? 1 : index + 1);
+};
+
+// Query filter for stories the viewer has agreed to see.
+// Stories from before ratings existed have none and count as general.
+const contentFilter = (user) => {
+  const { maxRating, hiddenWarnings } = getViewerPreferences(user);
+  const filter = { rating: { $in: [...allowedRatings(maxRating), null] } };
+
+  if (hiddenWarnings.length > 0) {
+    filter.contentWarnings = { $nin: hiddenWarnings };
+  }
+
+  return filter;
+};
+
+// Same check as contentFilter for a single loaded story
+const isContentAllowed = (story, user) => {
+  const { maxRating, hiddenWarnings } = getViewerPreferences(user);
+
+  if (!allowedRatings(maxRating).includes(story.rating || 'general')) {
+    return false;
+  }
+  return !(story.contentWarnings || []).some(warning => hiddenWarnings.includes(warning));
+};
+
+module.exports = {
+  RATINGS,
+  CONTENT_WARNINGS,
+  DEFAULT_PREFERENCES,
+  normalizeWarnings,
+  getViewerPreferences,
+  contentFilter,
+  isContentAllowed
+};
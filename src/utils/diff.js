@@ -0,0 +1,157 @@
+// Upper bound on the work one diff may do. Past it the remaining edited region
+// is reported as a plain delete and insert, so a complete rewrite of a long
+// text cannot hold up the server.
+const MAX_DIFF_COST = 5000000;
+
+// Find the middle snake of Myers' linear-space algorithm for a[aLo, aHi) and
+// b[bLo, bHi): a stretch of equal tokens that lies on an optimal edit path,
+// with as many edits before it as after it. Returns null when the budget runs out.
+const findMiddleSnake = (a, aLo, aHi, b, bLo, bHi, budget) => {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+  const delta = n - m;
+  const odd = delta % 2 !== 0;
+
+  // forward[k] is the furthest x from the start on diagonal k = x - y,
+  // backward[k] the furthest distance walked back from the end on diagonal k
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      budget.cost -= 1 + x - startX;
+
+      if (odd && k >= delta - (d - 1) && k <= delta + (d - 1) && x + backward[offset + delta - k] >= n) {
+        return { x: startX, y: startY, u: x, v: y };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      budget.cost -= 1 + x - startX;
+
+      if (!odd && delta - k >= -d && delta - k <= d && x + forward[offset + delta - k] >= n) {
+        return { x: n - x, y: m - y, u: n - startX, v: m - startY };
+      }
+    }
+
+    if (budget.cost < 0) return null;
+  }
+
+  return null;
+};
+
+// Myers' O((N+M)D) diff over two arrays of tokens, in the linear-space
+// divide-and-conquer form so memory stays proportional to the input.
+// Returns a list of { type: 'equal' | 'insert' | 'delete', tokens } operations.
+const diffTokens = (a, b) => {
+  const ops = [];
+  const push = (type, token) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(token);
+    } else {
+      ops.push({ type, tokens: [token] });
+    }
+  };
+  const pushRange = (type, tokens, from, to) => {
+    for (let i = from; i < to; i++) push(type, tokens[i]);
+  };
+  const budget = { cost: MAX_DIFF_COST };
+
+  const diffRange = (aLo, aHi, bLo, bHi) => {
+    // Strip the common prefix and suffix so the search only covers the edited region
+    let prefixEnd = aLo;
+    while (prefixEnd < aHi && bLo + prefixEnd - aLo < bHi && a[prefixEnd] === b[bLo + prefixEnd - aLo]) {
+      prefixEnd++;
+    }
+    pushRange('equal', a, aLo, prefixEnd);
+    bLo += prefixEnd - aLo;
+    aLo = prefixEnd;
+
+    let suffix = 0;
+    while (aHi - suffix > aLo && bHi - suffix > bLo && a[aHi - suffix - 1] === b[bHi - suffix - 1]) {
+      suffix++;
+    }
+    aHi -= suffix;
+    bHi -= suffix;
+
+    if (aLo === aHi) {
+      pushRange('insert', b, bLo, bHi);
+    } else if (bLo === bHi) {
+      pushRange('delete', a, aLo, aHi);
+    } else {
+      const snake = budget.cost > 0 ? findMiddleSnake(a, aLo, aHi, b, bLo, bHi, budget) : null;
+
+      if (!snake) {
+        pushRange('delete', a, aLo, aHi);
+        pushRange('insert', b, bLo, bHi);
+      } else {
+        diffRange(aLo, aLo + snake.x, bLo, bLo + snake.y);
+        pushRange('equal', a, aLo + snake.x, aLo + snake.u);
+        diffRange(aLo + snake.u, aHi, bLo + snake.v, bHi);
+      }
+    }
+
+    pushRange('equal', a, aHi, aHi + suffix);
+  };
+
+  diffRange(0, a.length, 0, b.length);
+  return ops;
+};
+
+// Turn token operations into text chunks with added/removed counts
+const summarize = (ops, joiner, isCounted) => {
+  let added = 0;
+  let removed = 0;
+
+  const changes = ops.map(op => {
+    const count = op.tokens.filter(isCounted).length;
+    if (op.type === 'insert') added += count;
+    if (op.type === 'delete') removed += count;
+    return { type: op.type, value: op.tokens.join(joiner) };
+  });
+
+  return { changes, added, removed };
+};
+
+// Line-level diff between two texts
+const diffLines = (oldText = '', newText = '') => {
+  const ops = diffTokens(oldText.split('\n'), newText.split('\n'));
+  return summarize(ops, '\n', () => true);
+};
+
+// Word-level diff between two texts; whitespace is kept so chunks can be re-joined
+const diffWords = (oldText = '', newText = '') => {
+  const tokenize = (text) => text.split(/(\s+)/).filter(Boolean);
+  const ops = diffTokens(tokenize(oldText), tokenize(newText));
+  return summarize(ops, '', token => /\S/.test(token));
+};
+
+module.exports = {
+  diffTokens,
+  diffLines,
+  diffWords
+};
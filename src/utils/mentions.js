@@ -0,0 +1,64 @@
+// @mentions are stored as user references with the character range they cover,
+// so a mention keeps pointing at the same person after they change their username.
+
+const MAX_MENTIONS = 10;
+
+// Same characters usernames are allowed to contain. The @ must not follow a
+// word character, so email addresses are not picked up as mentions.
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_-]{3,})/g;
+
+// Find @username mentions in text, in order, at most MAX_MENTIONS distinct usernames
+const parseMentions = (text) => {
+  if (!text || typeof text !== 'string') return [];
+
+  const mentions = [];
+  const usernames = new Set();
+  let match;
+
+  while ((match = MENTION_PATTERN.exec(text)) !== null) {
+    const username = match[2];
+    if (!usernames.has(username) && usernames.size >= MAX_MENTIONS) continue;
+
+    usernames.add(username);
+    const start = match.index + match[1].length;
+    mentions.push({ username, start, end: start + username.length + 1 });
+  }
+
+  return mentions;
+};
+
+// Rewrite the mentioned ranges with each user's current username and shift the
+// ranges to match. Mentions whose user no longer exists keep their original text.
+const renderMentions = (content, mentions = []) => {
+  if (!content || mentions.length === 0) {
+    return { content, mentions: [] };
+  }
+
+  let rendered = '';
+  let cursor = 0;
+  const placed = [];
+
+  [...mentions]
+    .sort((a, b) => a.start - b.start)
+    .forEach(mention => {
+      if (mention.start < cursor || mention.end > content.length) return;
+
+      rendered += content.slice(cursor, mention.start);
+      if (mention.user && mention.user.username) {
+        const start = rendered.length;
+        rendered += `@${mention.user.username}`;
+        placed.push({ user: mention.user, start, end: rendered.length });
+      } else {
+        rendered += content.slice(mention.start, mention.end);
+      }
+      cursor = mention.end;
+    });
+
+  return { content: rendered + content.slice(cursor), mentions: placed };
+};
+
+module.exports = {
+  MAX_MENTIONS,
+  parseMentions,
+  renderMentions
+};
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Sort orders available to cursor-paginated listings. Every order ends on _id
+// so items with the same value still have a stable position. Orders marked
+// skipsMissing leave out items without the field, which no cursor could point at.
+const CURSOR_SORTS = {
+  newest: { field: 'createdAt', direction: -1, type: 'date' },
+  oldest: { field: 'createdAt', direction: 1, type: 'date' },
+  published: { field: 'publishedAt', direction: -1, type: 'date', skipsMissing: true },
+  popular: { field: 'popularity', direction: -1, type: 'number' },
+  longest: { field: 'wordCount', direction: -1, type: 'number' },
+  shortest: { field: 'wordCount', direction: 1, type: 'number' }
+};
+
+const invalidCursor = () => new Error('Invalid or expired cursor');
+
+const encodeCursor = (sortKey, item, towards) => {
+  const { field, type } = CURSOR_SORTS[sortKey];
+  const value = type === 'date' ? new Date(item[field]).getTime() : item[field];
+  const payload = { s: sortKey, d: towards, v: value, id: item._id.toString() };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortKey) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  // A cursor only makes sense for the sort order it was created with
+  if (
+    !payload ||
+    payload.s !== sortKey ||
+    !['next', 'prev'].includes(payload.d) ||
+    typeof payload.v !== 'number' ||
+    !mongoose.Types.ObjectId.isValid(payload.id)
+  ) {
+    throw invalidCursor();
+  }
+
+  const { type } = CURSOR_SORTS[sortKey];
+  return {
+    towards: payload.d,
+    value: type === 'date' ? new Date(payload.v) : payload.v,
+    id: new mongoose.Types.ObjectId(payload.id)
+  };
+};
+
+// Narrow a query to the items a sort order can list
+const scopeToSort = (query, sortKey) => {
+  const { field, skipsMissing } = CURSOR_SORTS[sortKey];
+  return skipsMissing ? { ...query, [field]: { $ne: null } } : query;
+};
+
+// Add the cursor position to a query and work out the sort to run it with.
+// Paging backwards runs the sort in reverse; the results must then be flipped.
+const applyCursor = (baseQuery, sortKey, cursor) => {
+  const { field, direction } = CURSOR_SORTS[sortKey];
+  const query = scopeToSort(baseQuery, sortKey);
+
+  if (!cursor) {
+    return { query, sort: { [field]: direction, _id: direction }, reversed: false };
+  }
+
+  const { towards, value, id } = decodeCursor(cursor, sortKey);
+  const reversed = towards === 'prev';
+  const runDirection = reversed ? -direction : direction;
+  const operator = runDirection === 1 ? '$gt' : '$lt';
+  const boundOperator = runDirection === 1 ? '$gte' : '$lte';
+
+  return {
+    query: {
+      ...query,
+      $and: [
+        ...(query.$and || []),
+        // Redundant with the $or below, but gives the index scan a starting bound
+        { [field]: { [boundOperator]: value } },
+        {
+          $or: [
+            { [field]: { [operator]: value } },
+            { [field]: value, _id: { [operator]: id } }
+          ]
+        }
+      ]
+    },
+    sort: { [field]: runDirection, _id: runDirection },
+    reversed
+  };
+};
+
+// Trim the extra item fetched to detect more results and build the cursors
+// for the neighbouring pages. hasPrevious says whether anything comes before
+// the first item when paging forwards.
+const buildCursorPage = (items, sortKey, limit, { reversed = false, hasPrevious = false } = {}) => {
+  const hasMore = items.length > limit;
+  const page = items.slice(0, limit);
+  if (reversed) page.reverse();
+
+  const first = page[0];
+  const last = page[page.length - 1];
+  const hasNext = reversed ? page.length > 0 : hasMore;
+  const hasPrev = reversed ? hasMore : hasPrevious && page.length > 0;
+
+  return {
+    items: page,
+    nextCursor: hasNext ? encodeCursor(sortKey, last, 'next') : null,
+    prevCursor: hasPrev ? encodeCursor(sortKey, first, 'prev') : null
+  };
+};
+
+module.exports = {
+  CURSOR_SORTS,
+  scopeToSort,
+  applyCursor,
+  buildCursorPage
+};
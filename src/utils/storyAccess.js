@@ -0,0 +1,101 @@
+const { contentFilter, isContentAllowed } = require('./contentRating');
+
+const COLLABORATOR_ROLES = ['co-author', 'editor', 'viewer'];
+
+// What each role may do with a story:
+//   read    - see drafts, unpublished chapters and history
+//   suggest - propose changes for the author to review
+//   edit    - change the text, chapters and metadata
+//   manage  - publish, delete and manage collaborators
+const ROLE_PERMISSIONS = {
+  owner: ['read', 'suggest', 'edit', 'manage'],
+  'co-author': ['read', 'suggest', 'edit'],
+  editor: ['read', 'suggest'],
+  viewer: ['read']
+};
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+// Compare a story's author (populated or not) with the current user
+const isStoryAuthor = (story, user) => {
+  if (!user || !story.author) return false;
+
+  return toId(story.author).toString() === user._id.toString();
+};
+
+// The user's role on a story: owner, an accepted collaborator role, or null
+const getStoryRole = (story, user) => {
+  if (!user) return null;
+  if (isStoryAuthor(story, user)) return 'owner';
+
+  const collaborator = (story.collaborators || []).find(entry => (
+    entry.status === 'accepted' && entry.user && toId(entry.user).toString() === user._id.toString()
+  ));
+
+  return collaborator ? collaborator.role : null;
+};
+
+// Whether the story's author has blocked the user. Needs blockedBy, which the
+// auth middleware loads with the user.
+const isBlockedByAuthor = (story, user) => {
+  if (!user || !user.blockedBy || !story.author) return false;
+
+  const authorId = toId(story.author).toString();
+  return user.blockedBy.some(id => id.toString() === authorId);
+};
+
+const hasStoryPermission = (story, user, permission) => {
+  const role = getStoryRole(story, user);
+  return Boolean(role) && ROLE_PERMISSIONS[role].includes(permission);
+};
+
+// Base filter for stories that may appear in a viewer's listings
+const publicStoryFilter = (user) => ({
+  status: 'published',
+  isHidden: { $ne: true },
+  ...contentFilter(user)
+});
+
+// Drafts are only visible to the author and collaborators. Stories hidden by a
+// moderator are also visible to moderators, so they can review them. Nobody
+// sees the stories of an author who has blocked them.
+const canViewStory = (story, user) => {
+  if (isBlockedByAuthor(story, user)) return false;
+  if (hasStoryPermission(story, user, 'read')) return true;
+  if (story.status !== 'published') return false;
+
+  return !story.isHidden || Boolean(user && user.isModerator);
+};
+
+// The people writing a story always see it; everyone else is held to their content preferences
+const isHiddenByPreferences = (story, user) => {
+  return !hasStoryPermission(story, user, 'read') && !isContentAllowed(story, user);
+};
+
+// Answer 403 with the story's rating and warnings when it is outside the viewer's
+// content preferences, so clients can explain why. Returns whether it answered.
+const denyHiddenByPreferences = (res, story, user) => {
+  if (!isHiddenByPreferences(story, user)) return false;
+
+  res.status(403).json({
+    success: false,
+    message: 'This story is hidden by your content preferences',
+    data: {
+      rating: story.rating,
+      contentWarnings: story.contentWarnings
+    }
+  });
+  return true;
+};
+
+module.exports = {
+  COLLABORATOR_ROLES,
+  isStoryAuthor,
+  isBlockedByAuthor,
+  getStoryRole,
+  hasStoryPermission,
+  publicStoryFilter,
+  canViewStory,
+  isHiddenByPreferences,
+  denyHiddenByPreferences
+};
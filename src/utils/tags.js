@@ -0,0 +1,36 @@
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// Lowercase, strip punctuation and join words with hyphens: "Slow Burn!" -> "slow-burn"
+const normalizeTag = (tag) => {
+  return String(tag)
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/[\s_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_TAG_LENGTH)
+    .replace(/-+$/, '');
+};
+
+// Accepts an array or a comma-separated string (as sent by multipart forms)
+const normalizeTags = (input) => {
+  if (!input) return [];
+
+  const raw = Array.isArray(input) ? input : String(input).split(',');
+  return [...new Set(raw.map(normalizeTag).filter(Boolean))];
+};
+
+// Work out which tags were added and removed between two versions of a story
+const diffTags = (oldTags = [], newTags = []) => ({
+  added: newTags.filter(tag => !oldTags.includes(tag)),
+  removed: oldTags.filter(tag => !newTags.includes(tag))
+});
+
+module.exports = {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags,
+  diffTags
+};
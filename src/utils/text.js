@@ -0,0 +1,45 @@
+// Count the words in a block of text
+const countWords = (text) => {
+  if (!text || typeof text !== 'string') return 0;
+
+  const trimmed = text.trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+};
+
+// Escape user input before building a RegExp from it
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Common English words that say nothing about what a text is about
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+  'back', 'be', 'been', 'before', 'but', 'by', 'can', 'could', 'did', 'do', 'down', 'even',
+  'for', 'from', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if',
+  'in', 'into', 'is', 'it', 'its', 'just', 'like', 'me', 'more', 'my', 'no', 'not', 'now',
+  'of', 'off', 'on', 'one', 'only', 'or', 'our', 'out', 'over', 'said', 'she', 'so', 'some',
+  'than', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'through', 'to',
+  'too', 'up', 'us', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while',
+  'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// The most frequent meaningful words in a text, most frequent first
+const extractKeywords = (text, limit = 10) => {
+  if (!text || typeof text !== 'string') return [];
+
+  const counts = new Map();
+  (text.toLowerCase().match(/[a-z][a-z'-]{2,}/g) || []).forEach(word => {
+    if (!STOP_WORDS.has(word)) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  });
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word]) => word);
+};
+
+module.exports = {
+  countWords,
+  escapeRegex,
+  extractKeywords
+};